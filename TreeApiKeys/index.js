@@ -0,0 +1,89 @@
+import "dotenv/config";
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from "../shared/auth.js";
+
+// GET    /api/keys?user=<name>        -> a user's API keys, without the keys
+// POST   /api/keys  { user?, name }   -> issue a key; it is only shown here
+// DELETE /api/keys/{id}               -> revoke a key
+// Users manage their own keys; admins pass `user` to act for anyone.
+export default async function (context, req) {
+  try {
+    const principal = await authenticate(req);
+    const method = req.method.toUpperCase();
+    const id = context.bindingData.id;
+
+    if (method === "DELETE") {
+      const key = id ? await getApiKey(Number(id)) : null;
+      if (!key) {
+        context.res = {
+          status: 404,
+          body: { error: `API key ${id} not found` },
+        };
+        return;
+      }
+      authorizeUser(principal, key.github_user.username);
+
+      const revoked = await revokeApiKey(key.id);
+      context.log(`Revoked API key ${key.id} of ${key.github_user.username}`);
+      context.res = {
+        status: 200,
+        body: revoked,
+      };
+      return;
+    }
+
+    if (id) {
+      context.res = {
+        status: 405,
+        body: { error: `${method} is not supported on a single key` },
+      };
+      return;
+    }
+
+    const body = req.body || {};
+    const user =
+      (method === "POST" ? body.user : req.query.user) || principal.username;
+    if (!user) {
+      context.res = {
+        status: 400,
+        body: { error: "user is required" },
+      };
+      return;
+    }
+    authorizeUser(principal, user);
+
+    if (method === "POST") {
+      const key = await createApiKey(user, body.name);
+      context.log(`Issued API key ${key.id} (${key.prefix}) for ${user}`);
+      context.res = {
+        status: 201,
+        body: key,
+      };
+      return;
+    }
+
+    context.res = {
+      status: 200,
+      body: { keys: await listApiKeys(user) },
+    };
+  } catch (err) {
+    if (err instanceof AccessError) {
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    context.log.error("Error handling API key request:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  }
+}
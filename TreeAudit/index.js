@@ -0,0 +1,111 @@
+import "dotenv/config";
+import {
+  AUDIT_ACTIONS,
+  exportAuditEvents,
+  listAuditEvents,
+} from "../shared/audit.js";
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "../shared/auth.js";
+
+function parseTime(value) {
+  if (!value) {
+    return undefined;
+  }
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+// GET /api/audit?user=&owner=&repo=&action=&from=&to=
+//                                -> matching events, newest first (limit,
+//                                   cursor for the next page)
+// GET /api/audit/export?...      -> the same events as JSON Lines, oldest
+//                                   first
+// `from` and `to` are ISO timestamps, `to` exclusive. Users see the events of
+// their own account; admins see every account's unless `user` is given.
+export default async function (context, req) {
+  try {
+    const principal = await authenticate(req);
+    const { action } = context.bindingData;
+
+    if (action && action !== "export") {
+      context.res = {
+        status: 404,
+        body: { error: `Unknown action ${action}` },
+      };
+      return;
+    }
+
+    const user = req.query.user || principal.username;
+    if (user) {
+      authorizeUser(principal, user);
+    }
+
+    const filters = {
+      user,
+      owner: req.query.owner,
+      repo: req.query.repo,
+      action: req.query.action,
+      from: parseTime(req.query.from),
+      to: parseTime(req.query.to),
+    };
+    if (filters.from === null || filters.to === null) {
+      context.res = {
+        status: 400,
+        body: { error: "from and to must be ISO timestamps" },
+      };
+      return;
+    }
+    if (filters.action && !AUDIT_ACTIONS.includes(filters.action)) {
+      context.res = {
+        status: 400,
+        body: {
+          error: `action must be one of ${AUDIT_ACTIONS.join(", ")}`,
+        },
+      };
+      return;
+    }
+
+    if (action === "export") {
+      let body = "";
+      let count = 0;
+      for await (const line of exportAuditEvents(filters)) {
+        body += line;
+        count++;
+      }
+      context.log(`Exported ${count} audit events for ${user || "all users"}`);
+
+      context.res = {
+        status: 200,
+        headers: {
+          "content-type": "application/x-ndjson",
+          "content-disposition": 'attachment; filename="audit.jsonl"',
+        },
+        body,
+      };
+      return;
+    }
+
+    context.res = {
+      status: 200,
+      body: await listAuditEvents(filters, {
+        limit: req.query.limit,
+        cursor: req.query.cursor,
+      }),
+    };
+  } catch (err) {
+    if (err instanceof AccessError) {
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    context.log.error("Error reading audit log:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  }
+}
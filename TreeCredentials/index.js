@@ -0,0 +1,89 @@
+import "dotenv/config";
+import { isAdminRequest } from "../shared/admin.js";
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "../shared/auth.js";
+import {
+  rotateCredentialKeys,
+  saveGithubToken,
+  verifyGithubToken,
+} from "../shared/credentials.js";
+
+// POST /api/credentials         { username, token } -> store the caller's token
+// POST /api/credentials/rotate  (admin) -> re-wrap tokens under the current key
+export default async function (context, req) {
+  try {
+    const action = context.bindingData.action;
+
+    if (action === "rotate") {
+      if (!isAdminRequest(req)) {
+        context.res = {
+          status: 403,
+          body: { error: "Admin key required" },
+        };
+        return;
+      }
+
+      const result = await rotateCredentialKeys();
+      context.log(
+        `Credential keys rotated to ${result.keyId}: ${result.rewrapped} re-wrapped, ${result.encrypted} encrypted`
+      );
+      context.res = {
+        status: 200,
+        body: result,
+      };
+      return;
+    }
+
+    if (action) {
+      context.res = {
+        status: 404,
+        body: { error: `Unknown action ${action}` },
+      };
+      return;
+    }
+
+    const principal = await authenticate(req);
+    const { username, token } = req.body || {};
+    if (!username || !token) {
+      context.res = {
+        status: 400,
+        body: { error: "username and token are required" },
+      };
+      return;
+    }
+    authorizeUser(principal, username);
+
+    try {
+      await verifyGithubToken(username, token);
+    } catch (error) {
+      context.res = {
+        status: 400,
+        body: { error: `Invalid GitHub token: ${error.message}` },
+      };
+      return;
+    }
+
+    const record = await saveGithubToken(username, token);
+    context.log(`Stored GitHub token for ${username}`);
+
+    context.res = {
+      status: 200,
+      body: { success: true, username: record.username, keyId: record.token_key_id },
+    };
+  } catch (err) {
+    if (err instanceof AccessError) {
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    context.log.error("Error storing credentials:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  }
+}
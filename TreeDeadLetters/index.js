@@ -0,0 +1,71 @@
+import "dotenv/config";
+import { isAdminRequest } from "../shared/admin.js";
+import { getJob, listDeadLetteredJobs, requeueJob } from "../shared/jobs.js";
+import { sendPushMessage } from "../shared/queue.js";
+
+// Admin only (x-admin-key).
+// GET  /api/deadletters               -> dead-lettered push jobs
+// POST /api/deadletters/{id}/replay   -> re-queue one with a fresh attempt budget
+export default async function (context, req) {
+  if (!isAdminRequest(req)) {
+    context.res = {
+      status: 403,
+      body: { error: "Admin key required" },
+    };
+    return;
+  }
+
+  try {
+    const { id, action } = context.bindingData;
+    const method = req.method.toUpperCase();
+
+    if (!id && method === "GET") {
+      const jobs = await listDeadLetteredJobs({ limit: req.query.limit });
+      context.res = {
+        status: 200,
+        body: { jobs },
+      };
+      return;
+    }
+
+    if (!id || method !== "POST" || action !== "replay") {
+      context.res = {
+        status: 405,
+        body: { error: "Use GET to list or POST {id}/replay to replay" },
+      };
+      return;
+    }
+
+    const job = await getJob(id);
+    if (!job) {
+      context.res = {
+        status: 404,
+        body: { error: `Push job ${id} not found` },
+      };
+      return;
+    }
+
+    if (job.status !== "dead_lettered" || !job.message) {
+      context.res = {
+        status: 409,
+        body: { error: `Push job ${id} is ${job.status} and cannot be replayed` },
+      };
+      return;
+    }
+
+    await requeueJob(job.id);
+    await sendPushMessage({ ...job.message, jobId: job.id });
+    context.log(`Replayed dead-lettered push job ${job.id}`);
+
+    context.res = {
+      status: 202,
+      body: { success: true, jobId: job.id, status: "queued" },
+    };
+  } catch (err) {
+    context.log.error("Error handling dead-lettered jobs:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  }
+}
@@ -0,0 +1,81 @@
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "../shared/auth.js";
+import { getJob, JOB_STATUSES, listJobs } from "../shared/jobs.js";
+import { listDeliveries } from "../shared/webhooks.js";
+
+// GET /api/jobs/{id}            -> one push job
+// GET /api/jobs/{id}/webhooks   -> its completion webhook delivery log
+// GET /api/jobs?user=<name>     -> a user's most recent jobs (status, limit);
+//                                  the caller's own when no user is given
+export default async function (context, req) {
+  try {
+    const principal = await authenticate(req);
+    const { id, action } = context.bindingData;
+
+    if (action && action !== "webhooks") {
+      context.res = {
+        status: 404,
+        body: { error: `Unknown job resource: ${action}` },
+      };
+      return;
+    }
+
+    if (id) {
+      const job = await getJob(id);
+      if (!job) {
+        context.res = {
+          status: 404,
+          body: { error: `Push job ${id} not found` },
+        };
+        return;
+      }
+      authorizeUser(principal, job.username);
+
+      context.res = {
+        status: 200,
+        body: action ? { deliveries: await listDeliveries(id) } : job,
+      };
+      return;
+    }
+
+    const { status, limit } = req.query;
+    const user = req.query.user || principal.username;
+    if (!user) {
+      context.res = {
+        status: 400,
+        body: { error: "user query parameter is required" },
+      };
+      return;
+    }
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      context.res = {
+        status: 400,
+        body: { error: `status must be one of ${JOB_STATUSES.join(", ")}` },
+      };
+      return;
+    }
+
+    authorizeUser(principal, user);
+    const jobs = await listJobs(user, { status, limit });
+    context.res = {
+      status: 200,
+      body: { jobs },
+    };
+  } catch (err) {
+    if (err instanceof AccessError) {
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    context.log.error("Error reading push jobs:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  }
+}
@@ -0,0 +1,121 @@
+import "dotenv/config";
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "../shared/auth.js";
+import { describeErrors, readPushJob } from "../shared/contract.js";
+import {
+  resolveSourceDir,
+  SourceDirError,
+  SourceLimitError,
+} from "../shared/files.js";
+import { buildManifest } from "../shared/manifest.js";
+import { MappingError } from "../shared/mappings.js";
+import {
+  createProvider,
+  getProviderToken,
+  MissingCredentialError,
+} from "../shared/providers.js";
+
+// POST /api/manifest with a push job (the same body as TreePusher) returns
+// what pushing it would do: included and skipped files, totals, secret
+// findings and the changes against the target branch. Nothing is written.
+export default async function (context, req) {
+  let provider;
+
+  try {
+    const principal = await authenticate(req);
+    const { job, errors } = readPushJob(req.body || {});
+    if (errors.length) {
+      context.log(`Rejected push job: ${describeErrors(errors)}`);
+      context.res = {
+        status: 422,
+        body: { error: "Invalid push job", errors },
+      };
+      return;
+    }
+
+    authorizeUser(principal, job.user);
+
+    const { owner, repo } = job.target;
+    const providerType = job.target.provider || "github";
+
+    // Without credentials the files are still listed, just not compared
+    try {
+      provider = await createProvider({
+        type: providerType,
+        token: await getProviderToken(providerType, job.user),
+        owner,
+        repo,
+      });
+    } catch (error) {
+      if (!(error instanceof MissingCredentialError)) {
+        throw error;
+      }
+      context.log(`${error.message}, skipping diff`);
+    }
+
+    const manifest = await buildManifest(provider, {
+      sourceDir: resolveSourceDir(job.source.dir),
+      branch: job.target.branch,
+      baseBranch: job.target.baseBranch,
+      pullRequest: !!job.pullRequest,
+      ignoreOptions: job.filters,
+      keepEmptyDirs: job.source.keepEmptyDirs === true,
+      transcode: job.source.transcode === true,
+      normalizeEol: job.source.normalizeEol === true,
+      mappings: job.source.mappings,
+      secretPolicy: job.secrets && job.secrets.policy,
+    });
+
+    context.log(
+      `Manifest for ${job.source.dir}: ${manifest.totals.files} files, ${manifest.skipped.length} skipped`
+    );
+
+    context.res = {
+      status: 200,
+      body: manifest,
+    };
+  } catch (err) {
+    if (err instanceof AccessError) {
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    if (err instanceof MappingError) {
+      context.res = {
+        status: 422,
+        body: { error: "Invalid mappings", errors: err.errors },
+      };
+      return;
+    }
+
+    if (err instanceof SourceLimitError) {
+      context.res = {
+        status: 413,
+        body: { error: err.message },
+      };
+      return;
+    }
+
+    if (err instanceof SourceDirError) {
+      context.res = {
+        status: 400,
+        body: { error: err.message },
+      };
+      return;
+    }
+
+    context.log.error("Error building manifest:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  } finally {
+    if (provider) {
+      provider.close();
+    }
+  }
+}
@@ -1,16 +1,30 @@
-import {ServiceBusClient} from '@azure/service-bus'
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "../shared/auth.js";
+import { actorOf } from "../shared/audit.js";
+import { saveGithubToken, verifyGithubToken } from "../shared/credentials.js";
+import { describeErrors, readPushJob } from "../shared/contract.js";
+import { resolveSourceDir, SourceDirError } from "../shared/files.js";
+import { createJob, failJob } from "../shared/jobs.js";
+import { MappingError } from "../shared/mappings.js";
+import { sendPushMessage } from "../shared/queue.js";
+import { enforceQuota, reserveJob } from "../shared/quotas.js";
 
 
 
 export default async function (context, req) {
-    const connectionString = process.env.ServiceBusConnection;
-    const queueName = process.env.QUEUE_NAME;
-    const authToken = process.env.GITHUB_TOKEN
+    let job;
     
   try {
-    const messageBody = req.body;
+    const principal = await authenticate(req);
 
-    if (!messageBody) {
+    // Tokens are stored encrypted and looked up by the consumer, never queued
+    const { authToken: providedToken, ...messageBody } = req.body || {};
+
+    if (!Object.keys(messageBody).length) {
       context.res = {
         
         status: 400,
@@ -18,32 +32,106 @@ export default async function (context, req) {
       };
       return;
     }
-   
 
-    // Create Service Bus client + sender
-    const sbClient = new ServiceBusClient(connectionString);
- 
-    const sender = sbClient.createSender(queueName);
- 
+    // jobId and attempt are assigned by the service, not by producers
+    delete messageBody.jobId;
+    delete messageBody.attempt;
 
-    // Send the message
-    await sender.sendMessages({ body: messageBody });
- 
+    const { job: pushJob, errors } = readPushJob(messageBody);
+    if (errors.length) {
+      context.log(`Rejected push job: ${describeErrors(errors)}`);
+      context.res = {
+        status: 422,
+        body: { error: "Invalid push job", errors },
+      };
+      return;
+    }
 
-    // Close connections
-    await sender.close();
-     
-    await sbClient.close();
-    
+    const username = pushJob.user;
+    const { owner, repo: repoName } = pushJob.target;
+
+    // Quotas are checked here, before anything is stored or queued
+    authorizeUser(principal, username);
+    await enforceQuota(principal, username, {
+      sourceDir: resolveSourceDir(pushJob.source.dir),
+      ignoreOptions: pushJob.filters,
+      mappings: pushJob.source.mappings,
+    });
+
+    if (providedToken && (pushJob.target.provider || "github") !== "github") {
+      context.res = {
+        status: 400,
+        body: { error: "authToken can only be stored for GitHub" },
+      };
+      return;
+    }
+
+    if (providedToken) {
+      try {
+        await verifyGithubToken(username, providedToken);
+      } catch (error) {
+        context.res = {
+          status: 400,
+          body: { error: `Invalid GitHub token: ${error.message}` },
+        };
+        return;
+      }
+      await saveGithubToken(username, providedToken);
+    }
+
+    job = await reserveJob(principal, username, (client) =>
+      createJob(
+        {
+          username,
+          owner,
+          repoName,
+          branch: pushJob.target.branch,
+          sourceDir: pushJob.source.dir,
+          callbackUrl: pushJob.callback && pushJob.callback.url,
+          requestedBy: actorOf(principal),
+          message: messageBody,
+        },
+        client
+      )
+    );
 
-    context.log(`Message sent to queue: ${JSON.stringify(messageBody)}`);
+    // Send the message
+    await sendPushMessage({ ...messageBody, jobId: job.id });
+
+    context.log(`Push job ${job.id} sent to queue for ${owner}/${repoName}`);
 
     context.res = {
-      status: 200,
-      body: { success: true, sentData: messageBody },
+      status: 202,
+      body: { success: true, jobId: job.id, status: job.status },
     };
   } catch (err) {
+    if (err instanceof AccessError) {
+      context.log(`Rejected push job: ${err.reason}: ${err.message}`);
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    // A mapped directory is missing from the source
+    if (err instanceof MappingError) {
+      context.res = {
+        status: 422,
+        body: { error: "Invalid push job", errors: err.errors },
+      };
+      return;
+    }
+
+    if (err instanceof SourceDirError) {
+      context.res = {
+        status: 400,
+        body: { error: err.message },
+      };
+      return;
+    }
+
     context.log.error("Error sending message:", err);
+    if (job) {
+      await failJob(job.id, err).catch(() => {});
+    }
     context.res = {
       status: 500,
       body: { error: err.message },
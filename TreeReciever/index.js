@@ -1,14 +1,199 @@
-export default async function(context , MyQueueItem){
-    context.log(" service bus triggered fucntion is receiving messages" , MyQueueItem)
-    try{
-        const data = typeof MyQueueItem == "string" ? JSON.parse(MyQueueItem) : MyQueueItem;
-        context.log("parsed messages" , data)
-         if(data.user && data.task){
-        context.log(`succcessfully recieved ${data.authToken} and ${data.repoName} and ${data.userName}`)
+import "dotenv/config";
+import { auditJob } from "../shared/audit.js";
+import { describeErrors, readPushJob } from "../shared/contract.js";
+import { resolveSourceDir } from "../shared/files.js";
+import { pushHistory } from "../shared/history.js";
+import {
+  completeJob,
+  deadLetterJob,
+  deadLetterMessage,
+  markJobRunning,
+  updateJobStage,
+} from "../shared/jobs.js";
+import {
+  createProvider,
+  getProviderToken,
+  MissingCredentialError,
+} from "../shared/providers.js";
+import { pushDirectory } from "../shared/push.js";
+import { getQuota, quotaLimits } from "../shared/quotas.js";
+import { recordRepoPush } from "../shared/repos.js";
+import { handlePushFailure } from "../shared/retry.js";
+import { notifyJob } from "../shared/webhooks.js";
+
+// Sends the job's completion webhook; delivery problems are recorded on the
+// delivery and never fail the push itself
+async function notify(context, jobId) {
+  if (!jobId) {
+    return;
+  }
+  try {
+    await notifyJob(jobId);
+  } catch (error) {
+    context.log("Error sending completion webhook:", error);
+  }
+}
+
+// Writes the attempt's audit events; like webhooks, never fails the push
+async function audit(context, jobId, outcome) {
+  if (!jobId) {
+    return;
+  }
+  try {
+    await auditJob(jobId, outcome);
+  } catch (error) {
+    context.log("Error writing audit log:", error);
+  }
+}
+
+export default async function (context, MyQueueItem) {
+  context.log(" service bus triggered fucntion is receiving messages");
+
+  let data;
+  try {
+    data = typeof MyQueueItem == "string" ? JSON.parse(MyQueueItem) : MyQueueItem;
+  } catch (e) {
+    context.log("Error parsing messages:", e);
+    await deadLetterMessage(
+      MyQueueItem,
+      `Unreadable push job message: ${e.message}`
+    );
+    return;
+  }
+
+  const jobId = data && data.jobId;
+  const { job, errors } = readPushJob(data);
+
+  if (errors.length) {
+    const reason = `Invalid push job message: ${describeErrors(errors)}`;
+    context.log(reason);
+    if (jobId) {
+      await deadLetterJob(jobId, new Error(reason), reason);
+      await notify(context, jobId);
+    } else {
+      const recorded = await deadLetterMessage(data, reason);
+      context.log(`Dead-lettered message without a job as ${recorded.id}`);
+    }
+    return;
+  }
+
+  const { owner, repo } = job.target;
+  const providerType = job.target.provider || "github";
+  const username = job.user;
+  let token;
+  try {
+    token = await getProviderToken(providerType, username);
+  } catch (error) {
+    if (!(error instanceof MissingCredentialError)) {
+      throw error;
     }
-    }catch(e){
-        context.log("Error parsing messages:" , e)
+    context.log(error.message);
+    if (jobId) {
+      await deadLetterJob(jobId, error, error.message);
+      await notify(context, jobId);
     }
-   
+    return;
+  }
+
+  const attempt = data.attempt || 1;
+  context.log(
+    `Pushing ${job.source.dir} to ${owner}/${repo} (attempt ${attempt})`
+  );
+  if (jobId) {
+    await markJobRunning(jobId, attempt);
+  }
+
+  let result;
+  let provider;
+  try {
+    provider = await createProvider({ type: providerType, token, owner, repo });
+    // Sources that are git repositories can push their own commits instead
+    const push = job.history ? pushHistory : pushDirectory;
+    result = await push(provider, {
+      sourceDir: resolveSourceDir(job.source.dir),
+      branch: job.target.branch,
+      baseBranch: job.target.baseBranch,
+      pullRequest: !!job.pullRequest,
+      pullRequestTitle: job.pullRequest && job.pullRequest.title,
+      message: job.commit && job.commit.message,
+      isPrivate: !job.repository || job.repository.private !== false,
+      createRepo: !job.repository || job.repository.create !== false,
+      repository: job.repository,
+      sync: job.sync === true,
+      ignoreOptions: job.filters,
+      keepEmptyDirs: job.source.keepEmptyDirs === true,
+      transcode: job.source.transcode === true,
+      normalizeEol: job.source.normalizeEol === true,
+      mappings: job.source.mappings,
+      secretPolicy: job.secrets && job.secrets.policy,
+      history: job.history,
+      // The source may have grown since the size was checked on enqueue
+      limits: quotaLimits(await getQuota(username)),
+      onStage: async (stage) => {
+        if (jobId) {
+          await updateJobStage(jobId, stage);
+        }
+      },
+    });
+  } catch (error) {
+    context.log("Push failed:", error);
+    await audit(context, jobId, { error });
+    // Retries are re-scheduled as new messages, so this one always completes
+    const outcome = await handlePushFailure(data, error);
+    if (outcome.retried) {
+      context.log(
+        `Retrying ${owner}/${repo} after ${outcome.kind} error at ${outcome.scheduledAt.toISOString()}`
+      );
+    } else {
+      context.log(`Dead-lettered ${owner}/${repo}: ${outcome.reason}`);
+      await notify(context, jobId);
+    }
+    return;
+  } finally {
+    if (provider) {
+      provider.close();
+    }
+  }
+
+  if (jobId) {
+    await completeJob(jobId, result);
+    await audit(context, jobId, { result });
+    await notify(context, jobId);
+  }
+
+  try {
+    await recordRepoPush({
+      username,
+      owner,
+      name: repo,
+      source: job.source.dir,
+      result,
+    });
+  } catch (error) {
+    context.log("Error updating repository registry:", error);
+  }
+
+  if (result.secretFindings.length) {
+    context.log(
+      `${result.secretFindings.length} potential secret(s) found in ${owner}/${repo}`
+    );
+  }
+
+  if (result.skipped) {
+    context.log(`No changes for ${result.repoUrl}, nothing was committed`);
+    return;
+  }
 
-}
\ No newline at end of file
+  if (result.fileCount === null) {
+    context.log(
+      `Pushed ${result.history.mode} history of ${result.history.sourceBranch} to ${result.repoUrl} (${result.commitSha})`
+    );
+  } else {
+    context.log(
+      `Pushed ${result.fileCount} files to ${result.repoUrl} (${result.commitSha})`
+    );
+  }
+  if (result.pullRequest) {
+    context.log(`Pull request: ${result.pullRequest.url}`);
+  }
+}
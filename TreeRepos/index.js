@@ -0,0 +1,183 @@
+import "dotenv/config";
+import { actorOf, auditRepoAction } from "../shared/audit.js";
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "../shared/auth.js";
+import { createOctokit } from "../shared/github.js";
+import {
+  getProviderToken,
+  MissingCredentialError,
+} from "../shared/providers.js";
+import {
+  getRepo,
+  listRepos,
+  readId,
+  setRepoStatus,
+} from "../shared/repos.js";
+
+// Audit problems are logged; the action itself has already happened
+async function audit(context, repo, event) {
+  try {
+    await auditRepoAction(repo, event);
+  } catch (error) {
+    context.log("Error writing audit log:", error);
+  }
+}
+
+// GET    /api/repos?user=<name>    -> repositories registered for a user
+// GET    /api/repos/{id}           -> one registry entry
+// POST   /api/repos/{id}/archive   -> archive on GitHub and in the registry
+// DELETE /api/repos/{id}           -> unlink from the registry only
+// Callers see and change only their own repositories.
+export default async function (context, req) {
+  try {
+    const principal = await authenticate(req);
+    const { id, action } = context.bindingData;
+    const method = req.method.toUpperCase();
+
+    if (!id) {
+      if (method !== "GET") {
+        context.res = {
+          status: 405,
+          body: { error: `${method} requires a repository id` },
+        };
+        return;
+      }
+
+      const user = req.query.user || principal.username;
+      if (!user) {
+        context.res = {
+          status: 400,
+          body: { error: "user query parameter is required" },
+        };
+        return;
+      }
+      authorizeUser(principal, user);
+
+      const repos = await listRepos(user, {
+        includeUnlinked: req.query.includeUnlinked === "true",
+      });
+      context.res = {
+        status: 200,
+        body: { repos },
+      };
+      return;
+    }
+
+    const repoId = readId(id);
+    if (repoId === null) {
+      context.res = {
+        status: 400,
+        body: { error: `Invalid repository id: ${id}` },
+      };
+      return;
+    }
+
+    const repo = await getRepo(repoId);
+    if (!repo) {
+      context.res = {
+        status: 404,
+        body: { error: `Repository ${id} not found` },
+      };
+      return;
+    }
+
+    // Repositories without a registered user are for admins only
+    authorizeUser(principal, repo.github_user && repo.github_user.username);
+
+    if (method === "GET" && !action) {
+      context.res = {
+        status: 200,
+        body: repo,
+      };
+      return;
+    }
+
+    if (method === "DELETE" && !action) {
+      const updated = await setRepoStatus(repo.id, "unlinked");
+      context.log(`Unlinked ${repo.owner}/${repo.name} from the registry`);
+      await audit(context, repo, {
+        actor: actorOf(principal),
+        action: "delete_repo",
+        outcome: "succeeded",
+        detail: { previousStatus: repo.status, registryOnly: true },
+      });
+      context.res = {
+        status: 200,
+        body: updated,
+      };
+      return;
+    }
+
+    if (method === "POST" && action === "archive") {
+      if (repo.provider !== "github") {
+        context.res = {
+          status: 400,
+          body: { error: `Archiving is not supported on ${repo.provider}` },
+        };
+        return;
+      }
+      const username = repo.github_user ? repo.github_user.username : null;
+      // Archived with the owning user's token, never another account's
+      const token = await getProviderToken("github", username);
+      const octokit = await createOctokit(token);
+
+      try {
+        await octokit.request("PATCH /repos/{owner}/{repo}", {
+          owner: repo.owner,
+          repo: repo.name,
+          archived: true,
+        });
+      } catch (error) {
+        await audit(context, repo, {
+          actor: actorOf(principal),
+          action: "archive_repo",
+          outcome: "failed",
+          detail: { error: error.message, status: error.status },
+        });
+        throw error;
+      }
+
+      const updated = await setRepoStatus(repo.id, "archived");
+      context.log(`Archived ${repo.owner}/${repo.name}`);
+      await audit(context, repo, {
+        actor: actorOf(principal),
+        action: "archive_repo",
+        outcome: "succeeded",
+        detail: { previousStatus: repo.status },
+      });
+      context.res = {
+        status: 200,
+        body: updated,
+      };
+      return;
+    }
+
+    context.res = {
+      status: 405,
+      body: { error: `${method} ${action || ""} is not supported`.trim() },
+    };
+  } catch (err) {
+    if (err instanceof AccessError) {
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    if (err instanceof MissingCredentialError) {
+      context.res = {
+        status: 400,
+        body: { error: err.message },
+      };
+      return;
+    }
+
+    context.log.error("Error handling repository request:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  }
+}
@@ -0,0 +1,26 @@
+import "dotenv/config";
+import { claimDueSchedules, runSchedule } from "../shared/schedules.js";
+
+// Every minute: runs the sync schedules that are due, one after another
+export default async function (context, myTimer) {
+  try {
+    const schedules = await claimDueSchedules();
+
+    for (const schedule of schedules) {
+      const run = await runSchedule(schedule);
+      const { owner, name } = schedule.repo;
+      const target = `${owner}/${name}:${schedule.branch}`;
+      if (run.status === "failed") {
+        context.log(
+          `Sync of ${schedule.source} to ${target} failed: ${run.error}`
+        );
+      } else {
+        context.log(
+          `Sync of ${schedule.source} to ${target}: ${run.status} (${run.commit_sha})`
+        );
+      }
+    }
+  } catch (err) {
+    context.log.error("Error running sync schedules:", err);
+  }
+}
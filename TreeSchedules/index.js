@@ -0,0 +1,250 @@
+import "dotenv/config";
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "../shared/auth.js";
+import { CronError } from "../shared/cron.js";
+import { resolveSourceDir } from "../shared/files.js";
+import { PROVIDERS } from "../shared/providers.js";
+import { getRepo, readId } from "../shared/repos.js";
+import {
+  checkScheduleOptions,
+  createSchedule,
+  deleteSchedule,
+  getSchedule,
+  listRuns,
+  listSchedules,
+  pickScheduleOptions,
+  setSchedulePaused,
+} from "../shared/schedules.js";
+
+async function create(context, principal, body) {
+  const repoId = readId(body.repoId);
+  if (repoId === null) {
+    context.res = {
+      status: 400,
+      body: { error: "repoId must be a repository id" },
+    };
+    return;
+  }
+
+  const repo = await getRepo(repoId);
+  if (!repo) {
+    context.res = {
+      status: 404,
+      body: { error: `Repository ${body.repoId} not found` },
+    };
+    return;
+  }
+
+  const username = repo.github_user && repo.github_user.username;
+  authorizeUser(principal, username);
+  if (!username) {
+    context.res = {
+      status: 400,
+      body: { error: "The repository has no registered user to push as" },
+    };
+    return;
+  }
+
+  // Defaults to the source last pushed to the repository
+  const source = body.source || repo.source;
+  const provider = body.provider || repo.provider;
+  if (!body.cron || !source) {
+    context.res = {
+      status: 400,
+      body: { error: "cron and source are required" },
+    };
+    return;
+  }
+  if (!PROVIDERS.includes(provider)) {
+    context.res = {
+      status: 400,
+      body: { error: `Unknown provider: ${provider}` },
+    };
+    return;
+  }
+  if (provider !== repo.provider) {
+    context.res = {
+      status: 400,
+      body: { error: `The repository is on ${repo.provider}, not ${provider}` },
+    };
+    return;
+  }
+  try {
+    resolveSourceDir(source);
+  } catch (error) {
+    context.res = {
+      status: 400,
+      body: { error: error.message },
+    };
+    return;
+  }
+
+  // Options are checked as the push job each run makes
+  const options = pickScheduleOptions(body);
+  const errors = options
+    ? checkScheduleOptions(options, { username, repo, source })
+    : [];
+  if (errors.length) {
+    context.res = {
+      status: 400,
+      body: { error: "Invalid schedule options", errors },
+    };
+    return;
+  }
+
+  const schedule = await createSchedule({
+    repo,
+    username,
+    provider,
+    source,
+    branch: body.branch || repo.default_branch,
+    cron: body.cron,
+    options,
+  });
+  context.log(
+    `Scheduled ${source} -> ${repo.owner}/${repo.name}:${schedule.branch} (${schedule.cron})`
+  );
+  context.res = {
+    status: 201,
+    body: schedule,
+  };
+}
+
+// GET    /api/schedules?user=<name>     -> a user's sync schedules
+// POST   /api/schedules                 { repoId, cron, source?, branch?,
+//                                          provider?, filters?, mappings?,
+//                                          ... }
+//                                        -> schedule a re-sync of a source
+// GET    /api/schedules/{id}            -> one schedule
+// GET    /api/schedules/{id}/runs       -> its most recent runs (limit)
+// POST   /api/schedules/{id}/pause      -> stop running it
+// POST   /api/schedules/{id}/resume     -> run it again from its next time
+// DELETE /api/schedules/{id}            -> remove it with its runs
+export default async function (context, req) {
+  try {
+    const principal = await authenticate(req);
+    const { id, action } = context.bindingData;
+    const method = req.method.toUpperCase();
+
+    if (!id) {
+      if (method === "POST") {
+        await create(context, principal, req.body || {});
+        return;
+      }
+      if (method !== "GET") {
+        context.res = {
+          status: 405,
+          body: { error: `${method} requires a schedule id` },
+        };
+        return;
+      }
+
+      const user = req.query.user || principal.username;
+      if (!user) {
+        context.res = {
+          status: 400,
+          body: { error: "user query parameter is required" },
+        };
+        return;
+      }
+      authorizeUser(principal, user);
+
+      context.res = {
+        status: 200,
+        body: { schedules: await listSchedules(user) },
+      };
+      return;
+    }
+
+    const scheduleId = readId(id);
+    if (scheduleId === null) {
+      context.res = {
+        status: 400,
+        body: { error: `Invalid schedule id: ${id}` },
+      };
+      return;
+    }
+
+    const schedule = await getSchedule(scheduleId);
+    if (!schedule) {
+      context.res = {
+        status: 404,
+        body: { error: `Schedule ${id} not found` },
+      };
+      return;
+    }
+    authorizeUser(principal, schedule.username);
+
+    if (method === "GET" && !action) {
+      context.res = {
+        status: 200,
+        body: schedule,
+      };
+      return;
+    }
+
+    if (method === "GET" && action === "runs") {
+      context.res = {
+        status: 200,
+        body: { runs: await listRuns(schedule.id, { limit: req.query.limit }) },
+      };
+      return;
+    }
+
+    if (method === "POST" && (action === "pause" || action === "resume")) {
+      const updated = await setSchedulePaused(schedule, action === "pause");
+      context.log(`Schedule ${schedule.id} ${action}d`);
+      context.res = {
+        status: 200,
+        body: updated,
+      };
+      return;
+    }
+
+    if (method === "DELETE" && !action) {
+      await deleteSchedule(schedule.id);
+      context.log(`Deleted schedule ${schedule.id}`);
+      context.res = {
+        status: 204,
+      };
+      return;
+    }
+
+    context.res = {
+      status: 405,
+      body: { error: `${method} ${action || ""} is not supported`.trim() },
+    };
+  } catch (err) {
+    if (err instanceof AccessError) {
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    if (err instanceof CronError) {
+      context.res = {
+        status: 400,
+        body: { error: err.message },
+      };
+      return;
+    }
+
+    // A schedule for the same repository and branch already exists
+    if (err.code === "P2002") {
+      context.res = {
+        status: 409,
+        body: { error: "The branch already has a sync schedule" },
+      };
+      return;
+    }
+
+    context.log.error("Error handling schedule request:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  }
+}
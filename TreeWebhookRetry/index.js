@@ -0,0 +1,20 @@
+import "dotenv/config";
+import { retryDueDeliveries } from "../shared/webhooks.js";
+
+// Every minute: retries completion webhooks whose next attempt is due
+export default async function (context, myTimer) {
+  try {
+    const results = await retryDueDeliveries();
+    if (!results.length) {
+      return;
+    }
+
+    const delivered = results.filter((d) => d.status === "delivered").length;
+    const failed = results.filter((d) => d.status === "failed").length;
+    context.log(
+      `Retried ${results.length} webhook deliveries: ${delivered} delivered, ${failed} given up`
+    );
+  } catch (err) {
+    context.log.error("Error retrying webhook deliveries:", err);
+  }
+}
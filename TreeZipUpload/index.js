@@ -0,0 +1,304 @@
+import fs from "fs";
+import "dotenv/config";
+import { actorOf } from "../shared/audit.js";
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "../shared/auth.js";
+import { SourceLimitError } from "../shared/files.js";
+import { createOctokit } from "../shared/github.js";
+import { pushHistory } from "../shared/history.js";
+import { trackPush } from "../shared/jobs.js";
+import { buildManifest } from "../shared/manifest.js";
+import { MappingError, readMappings } from "../shared/mappings.js";
+import { MultipartError, parseMultipart } from "../shared/multipart.js";
+import {
+  createProvider,
+  getProviderToken,
+  MissingCredentialError,
+  PROVIDERS,
+} from "../shared/providers.js";
+import { pushDirectory } from "../shared/push.js";
+import { enforceQuota, getQuota, quotaLimits } from "../shared/quotas.js";
+import { recordRepoPush } from "../shared/repos.js";
+import { SecretsFoundError } from "../shared/secrets.js";
+import { extractZip, InvalidArchiveError } from "../shared/zip.js";
+
+// Accepts a ZIP either as the raw request body (options in the query string)
+// or as a multipart upload (options as form fields, archive in any file part).
+function readUpload(req) {
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body || "");
+  const contentType = req.headers["content-type"] || "";
+
+  if (contentType.startsWith("multipart/form-data")) {
+    const { fields, files } = parseMultipart(body, contentType);
+    const file = files.file || Object.values(files)[0];
+    return {
+      options: { ...req.query, ...fields },
+      archive: file && file.data,
+      filename: file && file.filename,
+    };
+  }
+
+  return { options: req.query, archive: body, filename: req.query.filename };
+}
+
+export default async function (context, req) {
+  let sourceDir;
+  let provider;
+
+  try {
+    const principal = await authenticate(req);
+    const { options, archive, filename } = readUpload(req);
+
+    if (!archive || !archive.length) {
+      context.res = {
+        status: 400,
+        body: "A ZIP archive is required",
+      };
+      return;
+    }
+
+    if (!options.repoName) {
+      context.res = {
+        status: 400,
+        body: "repoName is required",
+      };
+      return;
+    }
+
+    const providerType = options.provider || "github";
+    if (!PROVIDERS.includes(providerType)) {
+      context.res = {
+        status: 400,
+        body: `Unknown provider: ${providerType}`,
+      };
+      return;
+    }
+
+    if (!options.owner && providerType !== "github") {
+      context.res = {
+        status: 400,
+        body: `owner is required for ${providerType}`,
+      };
+      return;
+    }
+
+    // `mappings` is a JSON array of { from, to } (see mappings.js)
+    let mappings;
+    if (options.mappings) {
+      const read = readMappings(options.mappings);
+      if (read.errors.length) {
+        context.res = {
+          status: 400,
+          body: { error: "Invalid mappings", errors: read.errors },
+        };
+        return;
+      }
+      mappings = read.mappings;
+    }
+
+    // Pushes are made as the authenticated user; admins name the user
+    const username = options.userName || principal.username;
+    if (!username) {
+      context.res = {
+        status: 400,
+        body: "userName is required",
+      };
+      return;
+    }
+    authorizeUser(principal, username);
+
+    // Quotas are checked before the archive is expanded, which is capped at
+    // the user's repository size. Dry runs push nothing and are not counted.
+    const dryRun = options.dryRun === "true";
+    const limits = quotaLimits(await getQuota(username));
+    if (!dryRun) {
+      await enforceQuota(principal, username);
+    }
+    sourceDir = await extractZip(archive, {
+      maxBytes: principal.admin ? undefined : limits.maxBytes,
+    });
+
+    const token = await getProviderToken(providerType, username);
+    // GitHub pushes default to the token's own account
+    const owner =
+      options.owner ||
+      (await (await createOctokit(token)).request("GET /user")).data.login;
+
+    provider = await createProvider({
+      type: providerType,
+      token,
+      owner,
+      repo: options.repoName,
+    });
+    const ignoreOptions = {
+      ignore: options.ignore,
+      include: options.include,
+      useDefaults: options.useDefaultIgnore !== "false",
+    };
+
+    // dryRun=true describes what would be pushed instead of pushing it
+    if (dryRun) {
+      const manifest = await buildManifest(provider, {
+        sourceDir,
+        branch: options.branch,
+        baseBranch: options.baseBranch,
+        pullRequest: options.pullRequest === "true",
+        ignoreOptions,
+        keepEmptyDirs: options.keepEmptyDirs === "true",
+        transcode: options.transcode === "true",
+        normalizeEol: options.normalizeEol === "true",
+        mappings,
+        secretPolicy: options.secretPolicy,
+      });
+      context.res = {
+        status: 200,
+        body: manifest,
+      };
+      return;
+    }
+
+    await enforceQuota(principal, username, {
+      sourceDir,
+      ignoreOptions,
+      mappings,
+    });
+
+    // Archives that include their .git directory can push its history
+    const push = options.history ? pushHistory : pushDirectory;
+    const pushOptions = {
+      sourceDir,
+      branch: options.branch,
+      baseBranch: options.baseBranch,
+      pullRequest: options.pullRequest === "true",
+      pullRequestTitle: options.pullRequestTitle,
+      message: options.commitMessage,
+      isPrivate: options.private !== "false",
+      createRepo: options.createRepo !== "false",
+      repository: {
+        description: options.description,
+        homepage: options.homepage,
+        visibility: options.visibility,
+        topics: options.topics ? options.topics.split(",") : undefined,
+        licenseTemplate: options.licenseTemplate,
+        gitignoreTemplate: options.gitignoreTemplate,
+        template: options.template,
+      },
+      sync: options.sync === "true",
+      ignoreOptions,
+      keepEmptyDirs: options.keepEmptyDirs === "true",
+      transcode: options.transcode === "true",
+      normalizeEol: options.normalizeEol === "true",
+      mappings,
+      secretPolicy: options.secretPolicy,
+      history: options.history
+        ? { mode: options.history, branch: options.historyBranch }
+        : undefined,
+      limits,
+    };
+    const result = await trackPush(
+      {
+        principal,
+        username,
+        owner,
+        repoName: options.repoName,
+        branch: options.branch,
+        sourceDir: `zip:${filename || "upload"}`,
+        requestedBy: actorOf(principal),
+      },
+      (onStage) => push(provider, { ...pushOptions, onStage })
+    );
+
+    try {
+      await recordRepoPush({
+        username,
+        owner,
+        name: options.repoName,
+        source: `zip:${filename || "upload"}`,
+        result,
+      });
+    } catch (error) {
+      context.log("Error updating repository registry:", error);
+    }
+
+    context.log(
+      `Pushed ${result.fileCount} files from ZIP to ${result.repoUrl} (${result.commitSha})`
+    );
+
+    context.res = {
+      status: 200,
+      body: {
+        success: true,
+        jobId: result.jobId,
+        repoUrl: result.repoUrl,
+        branch: result.branch,
+        commitSha: result.commitSha,
+        fileCount: result.fileCount,
+        history: result.history || null,
+        pullRequestUrl: result.pullRequest ? result.pullRequest.url : null,
+        secretFindings: result.secretFindings,
+      },
+    };
+  } catch (err) {
+    if (err instanceof AccessError) {
+      context.res = accessErrorResponse(err);
+      return;
+    }
+
+    if (err instanceof MissingCredentialError) {
+      context.res = {
+        status: 400,
+        body: { error: err.message },
+      };
+      return;
+    }
+
+    if (err instanceof InvalidArchiveError || err instanceof MultipartError) {
+      context.res = {
+        status: 400,
+        body: { error: err.message },
+      };
+      return;
+    }
+
+    if (err instanceof MappingError) {
+      context.res = {
+        status: 400,
+        body: { error: "Invalid mappings", errors: err.errors },
+      };
+      return;
+    }
+
+    if (err instanceof SourceLimitError) {
+      context.res = {
+        status: 413,
+        body: { error: err.message },
+      };
+      return;
+    }
+
+    if (err instanceof SecretsFoundError) {
+      context.res = {
+        status: 422,
+        body: { error: err.message, findings: err.findings },
+      };
+      return;
+    }
+
+    context.log.error("Error pushing ZIP:", err);
+    context.res = {
+      status: 500,
+      body: { error: err.message },
+    };
+  } finally {
+    if (provider) {
+      provider.close();
+    }
+    if (sourceDir) {
+      fs.rmSync(sourceDir, { recursive: true, force: true });
+    }
+  }
+}
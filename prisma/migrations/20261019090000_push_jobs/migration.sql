@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "public"."PushJobStatus" AS ENUM ('queued', 'running', 'succeeded', 'failed');
+
+-- CreateTable
+CREATE TABLE "public"."PushJob" (
+    "id" TEXT NOT NULL,
+    "username" TEXT NOT NULL,
+    "owner" TEXT NOT NULL,
+    "repo_name" TEXT NOT NULL,
+    "branch" TEXT NOT NULL DEFAULT 'main',
+    "source_dir" TEXT NOT NULL,
+    "status" "public"."PushJobStatus" NOT NULL DEFAULT 'queued',
+    "stage" TEXT,
+    "file_count" INTEGER,
+    "added_count" INTEGER,
+    "modified_count" INTEGER,
+    "deleted_count" INTEGER,
+    "commit_sha" TEXT,
+    "repo_url" TEXT,
+    "error" TEXT,
+    "error_detail" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "started_at" TIMESTAMP(3),
+    "finished_at" TIMESTAMP(3),
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PushJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PushJob_username_created_at_idx" ON "public"."PushJob"("username", "created_at");
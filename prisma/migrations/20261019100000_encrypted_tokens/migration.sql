@@ -0,0 +1,7 @@
+-- DropIndex
+DROP INDEX "public"."Github_token_key";
+
+-- AlterTable
+ALTER TABLE "public"."Github" ADD COLUMN     "encrypted_token" TEXT,
+ADD COLUMN     "token_key_id" TEXT,
+ALTER COLUMN "token" DROP NOT NULL;
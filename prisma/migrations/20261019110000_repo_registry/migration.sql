@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "public"."RepoStatus" AS ENUM ('active', 'archived', 'unlinked');
+
+-- DropForeignKey
+ALTER TABLE "public"."Repos" DROP CONSTRAINT "Repos_github_user_id_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."Repos" ADD COLUMN     "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "default_branch" TEXT NOT NULL DEFAULT 'main',
+ADD COLUMN     "last_commit_sha" TEXT,
+ADD COLUMN     "last_pushed_at" TIMESTAMP(3),
+ADD COLUMN     "name" TEXT,
+ADD COLUMN     "owner" TEXT,
+ADD COLUMN     "source" TEXT,
+ADD COLUMN     "status" "public"."RepoStatus" NOT NULL DEFAULT 'active',
+ADD COLUMN     "updated_at" TIMESTAMP(3),
+ADD COLUMN     "visibility" TEXT NOT NULL DEFAULT 'private',
+ALTER COLUMN "github_user_id" DROP NOT NULL;
+
+-- Backfill: rows from before the registry only link a user. They are kept
+-- under the user's account with a placeholder name, and unlinked since the
+-- repository they stood for is unknown.
+UPDATE "public"."Repos" AS r
+SET "owner" = COALESCE(
+      (SELECT g."username" FROM "public"."Github" AS g
+       WHERE g."id" = r."github_user_id"),
+      'unknown'),
+    "name" = 'legacy-repo-' || r."id",
+    "status" = 'unlinked',
+    "updated_at" = CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "public"."Repos" ALTER COLUMN "name" SET NOT NULL,
+ALTER COLUMN "owner" SET NOT NULL,
+ALTER COLUMN "updated_at" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Repos_owner_name_key" ON "public"."Repos"("owner", "name");
+
+-- AddForeignKey
+ALTER TABLE "public"."Repos" ADD CONSTRAINT "Repos_github_user_id_fkey" FOREIGN KEY ("github_user_id") REFERENCES "public"."Github"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."PushJob" ADD COLUMN     "pull_request_url" TEXT;
@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "public"."PushJobStatus" ADD VALUE 'dead_lettered';
+
+-- AlterTable
+ALTER TABLE "public"."PushJob" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "dead_letter_reason" TEXT,
+ADD COLUMN     "message" JSONB,
+ADD COLUMN     "next_attempt_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "PushJob_status_idx" ON "public"."PushJob"("status");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."PushJob" ADD COLUMN     "secret_findings" JSONB;
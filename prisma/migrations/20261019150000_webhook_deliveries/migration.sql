@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "public"."WebhookDeliveryStatus" AS ENUM ('pending', 'delivered', 'failed');
+
+-- AlterTable
+ALTER TABLE "public"."PushJob" ADD COLUMN     "callback_url" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."WebhookDelivery" (
+    "id" TEXT NOT NULL,
+    "job_id" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "public"."WebhookDeliveryStatus" NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "response_status" INTEGER,
+    "error" TEXT,
+    "next_attempt_at" TIMESTAMP(3),
+    "delivered_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_job_id_idx" ON "public"."WebhookDelivery"("job_id");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_status_next_attempt_at_idx" ON "public"."WebhookDelivery"("status", "next_attempt_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."WebhookDelivery" ADD CONSTRAINT "WebhookDelivery_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "public"."PushJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
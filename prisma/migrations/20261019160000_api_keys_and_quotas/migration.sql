@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."Github" ADD COLUMN     "quota_max_concurrent_jobs" INTEGER,
+ADD COLUMN     "quota_max_repo_mb" INTEGER,
+ADD COLUMN     "quota_pushes_per_hour" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."ApiKey" (
+    "id" SERIAL NOT NULL,
+    "github_user_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "key_hash" TEXT NOT NULL,
+    "last_used_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ApiKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiKey_key_hash_key" ON "public"."ApiKey"("key_hash");
+
+-- CreateIndex
+CREATE INDEX "ApiKey_github_user_id_idx" ON "public"."ApiKey"("github_user_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."ApiKey" ADD CONSTRAINT "ApiKey_github_user_id_fkey" FOREIGN KEY ("github_user_id") REFERENCES "public"."Github"("id") ON DELETE CASCADE ON UPDATE CASCADE;
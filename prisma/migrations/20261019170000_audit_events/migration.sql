@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "public"."AuditAction" AS ENUM ('create_repo', 'commit', 'update_ref', 'open_pull_request', 'archive_repo', 'delete_repo');
+
+-- CreateEnum
+CREATE TYPE "public"."AuditOutcome" AS ENUM ('succeeded', 'unchanged', 'failed');
+
+-- AlterTable
+ALTER TABLE "public"."PushJob" ADD COLUMN     "requested_by" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."AuditEvent" (
+    "id" TEXT NOT NULL,
+    "actor" TEXT NOT NULL,
+    "username" TEXT,
+    "job_id" TEXT,
+    "action" "public"."AuditAction" NOT NULL,
+    "outcome" "public"."AuditOutcome" NOT NULL,
+    "provider" TEXT,
+    "owner" TEXT NOT NULL,
+    "repo_name" TEXT NOT NULL,
+    "branch" TEXT,
+    "before_sha" TEXT,
+    "after_sha" TEXT,
+    "changes" JSONB,
+    "source" TEXT,
+    "detail" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_username_created_at_idx" ON "public"."AuditEvent"("username", "created_at");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_owner_repo_name_created_at_idx" ON "public"."AuditEvent"("owner", "repo_name", "created_at");
+
+-- CreateIndex
+CREATE INDEX "AuditEvent_created_at_idx" ON "public"."AuditEvent"("created_at");
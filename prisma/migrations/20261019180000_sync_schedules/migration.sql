@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "public"."SyncRunStatus" AS ENUM ('running', 'pushed', 'unchanged', 'failed');
+
+-- CreateTable
+CREATE TABLE "public"."SyncSchedule" (
+    "id" SERIAL NOT NULL,
+    "repo_id" INTEGER NOT NULL,
+    "username" TEXT NOT NULL,
+    "provider" TEXT NOT NULL DEFAULT 'github',
+    "source" TEXT NOT NULL,
+    "branch" TEXT NOT NULL DEFAULT 'main',
+    "cron" TEXT NOT NULL,
+    "options" JSONB,
+    "paused" BOOLEAN NOT NULL DEFAULT false,
+    "next_run_at" TIMESTAMP(3),
+    "last_run_at" TIMESTAMP(3),
+    "last_commit_sha" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SyncSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."SyncRun" (
+    "id" TEXT NOT NULL,
+    "schedule_id" INTEGER NOT NULL,
+    "status" "public"."SyncRunStatus" NOT NULL DEFAULT 'running',
+    "job_id" TEXT,
+    "base_sha" TEXT,
+    "commit_sha" TEXT,
+    "added_count" INTEGER,
+    "modified_count" INTEGER,
+    "deleted_count" INTEGER,
+    "error" TEXT,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+
+    CONSTRAINT "SyncRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SyncSchedule_paused_next_run_at_idx" ON "public"."SyncSchedule"("paused", "next_run_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncSchedule_repo_id_branch_key" ON "public"."SyncSchedule"("repo_id", "branch");
+
+-- CreateIndex
+CREATE INDEX "SyncRun_schedule_id_started_at_idx" ON "public"."SyncRun"("schedule_id", "started_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."SyncSchedule" ADD CONSTRAINT "SyncSchedule_repo_id_fkey" FOREIGN KEY ("repo_id") REFERENCES "public"."Repos"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SyncRun" ADD CONSTRAINT "SyncRun_schedule_id_fkey" FOREIGN KEY ("schedule_id") REFERENCES "public"."SyncSchedule"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "public"."Repos_owner_name_key";
+
+-- AlterTable
+ALTER TABLE "public"."Repos" ADD COLUMN     "provider" TEXT NOT NULL DEFAULT 'github';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Repos_provider_owner_name_key" ON "public"."Repos"("provider", "owner", "name");
@@ -0,0 +1,17 @@
+import crypto from "crypto";
+
+function digest(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+// Admin-only endpoints require the x-admin-key header to match ADMIN_API_KEY.
+export function isAdminRequest(req) {
+  const expected = process.env.ADMIN_API_KEY;
+  const given = req.headers["x-admin-key"];
+
+  if (!expected || !given) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(digest(expected), digest(given));
+}
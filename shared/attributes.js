@@ -0,0 +1,119 @@
+import fs from "fs";
+import path from "path";
+import { compilePattern } from "./ignore.js";
+
+// The subset of .gitattributes that decides how text is committed:
+//   text        always text: line endings are normalized to LF
+//   -text       never converted
+//   text=auto   normalized when the content looks like text
+//   eol=lf|crlf text with a checkout line ending; stored with LF like `text`
+//   binary      -text, and the file always goes up as raw bytes
+// Files without a `text` attribute are committed as they are, like git does
+// with core.autocrlf unset.
+export const ATTRIBUTES_FILE = ".gitattributes";
+
+function parseAttributes(tokens) {
+  const attributes = {};
+
+  for (const token of tokens) {
+    if (token === "text") {
+      attributes.text = true;
+    } else if (token === "-text") {
+      attributes.text = false;
+    } else if (token === "!text") {
+      attributes.text = undefined;
+    } else if (token === "text=auto") {
+      attributes.text = "auto";
+    } else if (token === "binary") {
+      attributes.text = false;
+      attributes.binary = true;
+    } else if (token.startsWith("eol=")) {
+      attributes.eol = token.slice(4);
+    }
+  }
+
+  return attributes;
+}
+
+// One .gitattributes line: a pattern followed by attributes. Negative
+// patterns are not allowed there and are ignored, like git does.
+function compileLine(line, source) {
+  const [pattern, ...tokens] = line.trim().split(/\s+/);
+  if (!pattern || pattern.startsWith("#") || pattern.startsWith("!")) {
+    return null;
+  }
+
+  const rule = compilePattern(pattern, source);
+  return rule && { ...rule, attributes: parseAttributes(tokens) };
+}
+
+function compileLayer(base, source, lines) {
+  return {
+    base,
+    rules: lines.map((line) => compileLine(line, source)).filter(Boolean),
+  };
+}
+
+// With `normalizeEol`, every file starts out as `text=auto`, so sources
+// without a .gitattributes of their own are normalized too.
+export function createAttributeRules({ normalizeEol = false } = {}) {
+  return {
+    layers: normalizeEol
+      ? [compileLayer("", "default", ["* text=auto"])]
+      : [],
+  };
+}
+
+// Adds a directory's .gitattributes, whose patterns are relative to it and
+// win over those of its parents.
+export function enterAttributes(rules, dir, relativeDir) {
+  const filePath = path.join(dir, ATTRIBUTES_FILE);
+  if (!fs.existsSync(filePath)) {
+    return rules;
+  }
+
+  return {
+    layers: [
+      ...rules.layers,
+      compileLayer(
+        relativeDir,
+        relativeDir ? `${relativeDir}/${ATTRIBUTES_FILE}` : ATTRIBUTES_FILE,
+        fs.readFileSync(filePath, "utf-8").split(/\r?\n/)
+      ),
+    ],
+  };
+}
+
+// The attributes of a file relative to the source root. Later lines and
+// deeper files override earlier ones, attribute by attribute.
+export function getAttributes(rules, relativePath) {
+  const attributes = {};
+
+  for (const layer of rules.layers) {
+    const rel = layer.base
+      ? relativePath.slice(layer.base.length + 1)
+      : relativePath;
+
+    for (const rule of layer.rules) {
+      if (!rule.dirOnly && rule.regex.test(rel)) {
+        for (const [name, value] of Object.entries(rule.attributes)) {
+          attributes[name] = value;
+        }
+      }
+    }
+  }
+
+  return attributes;
+}
+
+// Whether line endings are normalized for a file that is text (`isText`)
+// by content
+export function normalizesEol(attributes, isText) {
+  if (attributes.text === false) {
+    return false;
+  }
+  if (attributes.text === true || attributes.eol) {
+    return true;
+  }
+  return attributes.text === "auto" && isText;
+}
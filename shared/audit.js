@@ -0,0 +1,254 @@
+import prisma from "./prisma.js";
+
+// Audit trail of what was done to repositories, one AuditEvent per action:
+//   create_repo        a push created the repository
+//   commit             a snapshot commit (outcome "unchanged" when a sync
+//                      found nothing to commit), with a file change summary
+//   update_ref         a branch moved, from before_sha to after_sha
+//   open_pull_request  a pull/merge request was opened or updated
+//   archive_repo       archived through TreeRepos
+//   delete_repo        unlinked from the registry through TreeRepos
+// `actor` is who asked for it (a username, "admin" for admin requests or
+// "scheduler" for scheduled syncs) and `username` the account the action was
+// made as. Failed pushes are recorded too, against the action of the stage
+// they failed in.
+export const AUDIT_ACTIONS = [
+  "create_repo",
+  "commit",
+  "update_ref",
+  "open_pull_request",
+  "archive_repo",
+  "delete_repo",
+];
+
+// Paths kept per change list; counts are always complete
+const MAX_PATHS = 1000;
+
+const STAGE_ACTIONS = {
+  provisioning: "create_repo",
+  "updating-ref": "update_ref",
+  "pushing-history": "update_ref",
+  "opening-pull-request": "open_pull_request",
+};
+
+export function actorOf(principal) {
+  return principal.admin ? "admin" : principal.username;
+}
+
+function summarizeChanges(result) {
+  if (!result.changes) {
+    // Without sync the commit replaces the whole tree
+    return { files: result.fileCount, replaced: true };
+  }
+
+  const { added, modified, deleted } = result.changes;
+  return {
+    files: result.fileCount,
+    added: added.length,
+    modified: modified.length,
+    deleted: deleted.length,
+    paths: {
+      added: added.slice(0, MAX_PATHS),
+      modified: modified.slice(0, MAX_PATHS),
+      deleted: deleted.slice(0, MAX_PATHS),
+    },
+    truncated:
+      Math.max(added.length, modified.length, deleted.length) > MAX_PATHS,
+  };
+}
+
+// The events of a successful push (pushDirectory's or pushHistory's result)
+function pushEvents(result) {
+  const events = [];
+  const provider = result.provider;
+
+  if (result.repoCreated) {
+    events.push({
+      action: "create_repo",
+      outcome: "succeeded",
+      provider,
+      detail: {
+        url: result.repoUrl,
+        visibility: result.visibility,
+        defaultBranch: result.defaultBranch,
+      },
+    });
+  }
+
+  // Histories pushed as they are move refs without a commit of ours
+  if (result.history && result.history.refs) {
+    for (const ref of result.history.refs) {
+      events.push({
+        action: "update_ref",
+        outcome: ref.status === "unchanged" ? "unchanged" : "succeeded",
+        provider,
+        branch: ref.branch,
+        before_sha: ref.previousSha,
+        after_sha: ref.commitSha,
+        detail: {
+          history: result.history.mode,
+          sourceBranch: result.history.sourceBranch,
+          created: ref.status === "created",
+        },
+      });
+    }
+    return events;
+  }
+
+  events.push({
+    action: "commit",
+    outcome: result.skipped ? "unchanged" : "succeeded",
+    provider,
+    branch: result.branch,
+    before_sha: result.parentSha,
+    after_sha: result.commitSha,
+    changes: summarizeChanges(result),
+    detail: {
+      secretFindings: result.secretFindings.length,
+      history: result.history ? result.history.mode : undefined,
+    },
+  });
+
+  if (!result.skipped || result.branchCreated) {
+    events.push({
+      action: "update_ref",
+      outcome: "succeeded",
+      provider,
+      branch: result.branch,
+      before_sha: result.branchCreated ? null : result.parentSha,
+      after_sha: result.commitSha,
+      detail: { created: result.branchCreated },
+    });
+  }
+
+  if (result.pullRequest) {
+    events.push({
+      action: "open_pull_request",
+      outcome: "succeeded",
+      provider,
+      branch: result.branch,
+      after_sha: result.commitSha,
+      detail: {
+        number: result.pullRequest.number,
+        url: result.pullRequest.url,
+        created: result.pullRequest.created,
+      },
+    });
+  }
+
+  return events;
+}
+
+// Records the outcome of one push job attempt: the actions of its `result`,
+// or a failed event for the stage the job was in when `error` was thrown.
+export async function auditJob(jobId, { result, error }) {
+  const job = await prisma.pushJob.findUnique({ where: { id: jobId } });
+  if (!job) {
+    return [];
+  }
+
+  const events = error
+    ? [
+        {
+          action: STAGE_ACTIONS[job.stage] || "commit",
+          outcome: "failed",
+          detail: {
+            error: error.message,
+            status: error.status,
+            stage: job.stage,
+            attempt: job.attempts,
+          },
+        },
+      ]
+    : pushEvents(result);
+
+  const data = events.map((event) => ({
+    actor: job.requested_by || job.username,
+    username: job.username,
+    job_id: job.id,
+    owner: job.owner,
+    repo_name: job.repo_name,
+    branch: job.branch,
+    source: job.source_dir,
+    ...event,
+  }));
+  await prisma.auditEvent.createMany({ data });
+  return data;
+}
+
+// Records an action taken on a registered repository (see repos.js)
+export async function auditRepoAction(
+  repo,
+  { actor, action, outcome, detail }
+) {
+  return prisma.auditEvent.create({
+    data: {
+      actor,
+      username: repo.github_user ? repo.github_user.username : null,
+      action,
+      outcome,
+      owner: repo.owner,
+      repo_name: repo.name,
+      source: repo.source,
+      detail,
+    },
+  });
+}
+
+// Filters: `user` (the account acted as), `owner` and `repo`, `action`, and
+// a `from`/`to` time range (Dates, `to` exclusive)
+function auditWhere({ user, owner, repo, action, from, to }) {
+  return {
+    ...(user ? { username: user } : {}),
+    ...(owner ? { owner } : {}),
+    ...(repo ? { repo_name: repo } : {}),
+    ...(action ? { action } : {}),
+    ...(from || to
+      ? {
+          created_at: {
+            ...(from ? { gte: from } : {}),
+            ...(to ? { lt: to } : {}),
+          },
+        }
+      : {}),
+  };
+}
+
+// Newest first. Pages continue from the `nextCursor` of the previous one.
+export async function listAuditEvents(filters, { limit = 50, cursor } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 50, 1), 500);
+  const events = await prisma.auditEvent.findMany({
+    where: auditWhere(filters),
+    orderBy: [{ created_at: "desc" }, { id: "desc" }],
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+  });
+
+  return {
+    events: events.slice(0, take),
+    nextCursor: events.length > take ? events[take - 1].id : null,
+  };
+}
+
+const EXPORT_BATCH = 1000;
+
+// Every matching event, oldest first, as JSON Lines (one event per line)
+export async function* exportAuditEvents(filters) {
+  let cursor;
+  for (;;) {
+    const batch = await prisma.auditEvent.findMany({
+      where: auditWhere(filters),
+      orderBy: [{ created_at: "asc" }, { id: "asc" }],
+      take: EXPORT_BATCH,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+
+    for (const event of batch) {
+      yield `${JSON.stringify(event)}\n`;
+    }
+    if (batch.length < EXPORT_BATCH) {
+      return;
+    }
+    cursor = batch[batch.length - 1].id;
+  }
+}
@@ -0,0 +1,269 @@
+import crypto from "crypto";
+import { isAdminRequest } from "./admin.js";
+import prisma from "./prisma.js";
+
+// Callers authenticate as a GitHub user (a `Github` record) with either
+//   x-api-key: tp_...              an API key issued for that user, or
+//   authorization: Bearer <jwt>    an HS256 token signed with JWT_SECRET
+//                                  whose `sub` is the username and which
+//                                  has an `exp` (JWT_ISSUER and
+//                                  JWT_AUDIENCE are checked when set).
+// API keys can also be sent as a bearer token. Admin requests (x-admin-key)
+// act for any user.
+
+const API_KEY_PREFIX = "tp_";
+// Allowed clock difference for exp/nbf
+const CLOCK_SKEW_SECONDS = 60;
+
+// Rejected authentication (401), authorization (403) or quota (429). `reason`
+// is a stable code for clients; `retryAfter` is in seconds.
+export class AccessError extends Error {
+  constructor(status, reason, message, retryAfter) {
+    super(message);
+    this.name = "AccessError";
+    this.status = status;
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export function accessErrorResponse(error) {
+  const headers = {};
+  if (error.status === 401) {
+    headers["www-authenticate"] = "Bearer";
+  }
+  if (error.retryAfter) {
+    headers["retry-after"] = String(error.retryAfter);
+  }
+  return {
+    status: error.status,
+    headers,
+    body: { error: error.message, reason: error.reason },
+  };
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function base64url(buffer) {
+  return buffer.toString("base64url");
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf-8"));
+}
+
+function verifyJwt(token) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AccessError(
+      401,
+      "invalid-token",
+      "Bearer tokens are not accepted here; use an API key"
+    );
+  }
+
+  const [header, payload, signature] = token.split(".");
+  let claims;
+  try {
+    if (decodeSegment(header).alg !== "HS256") {
+      throw new Error("unsupported algorithm");
+    }
+    claims = decodeSegment(payload);
+  } catch (error) {
+    throw new AccessError(401, "invalid-token", "Malformed bearer token");
+  }
+
+  const expected = base64url(
+    crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest()
+  );
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new AccessError(
+      401,
+      "invalid-token",
+      "Bearer token signature is invalid"
+    );
+  }
+
+  // Tokens that never expire are not accepted
+  if (typeof claims.exp !== "number") {
+    throw new AccessError(
+      401,
+      "invalid-token",
+      "Bearer token has no expiry (exp)"
+    );
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new AccessError(401, "expired-token", "Bearer token has expired");
+  }
+  if (claims.nbf !== undefined && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new AccessError(
+      401,
+      "invalid-token",
+      "Bearer token is not valid yet"
+    );
+  }
+  if (process.env.JWT_ISSUER && claims.iss !== process.env.JWT_ISSUER) {
+    throw new AccessError(
+      401,
+      "invalid-token",
+      "Bearer token issuer is not trusted"
+    );
+  }
+  if (
+    process.env.JWT_AUDIENCE &&
+    ![].concat(claims.aud || []).includes(process.env.JWT_AUDIENCE)
+  ) {
+    throw new AccessError(
+      401,
+      "invalid-token",
+      "Bearer token is not meant for this service"
+    );
+  }
+  if (!claims.sub) {
+    throw new AccessError(401, "invalid-token", "Bearer token has no subject");
+  }
+
+  return claims;
+}
+
+async function authenticateApiKey(key) {
+  const record = await prisma.apiKey.findUnique({
+    where: { key_hash: hashKey(key) },
+    include: { github_user: true },
+  });
+
+  if (!record) {
+    throw new AccessError(401, "invalid-api-key", "API key is not valid");
+  }
+  if (record.revoked_at) {
+    throw new AccessError(401, "revoked-api-key", "API key has been revoked");
+  }
+
+  await prisma.apiKey.update({
+    where: { id: record.id },
+    data: { last_used_at: new Date() },
+  });
+
+  return {
+    username: record.github_user.username,
+    method: "api-key",
+    keyId: record.id,
+    admin: false,
+  };
+}
+
+// Resolves to the caller ({ username, method, keyId, admin }) or throws an
+// AccessError with status 401.
+export async function authenticate(req) {
+  if (isAdminRequest(req)) {
+    return { username: null, method: "admin", admin: true };
+  }
+
+  const authorization = req.headers["authorization"] || "";
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+  const apiKey = req.headers["x-api-key"] || (bearer && bearer[1]);
+
+  if (apiKey && apiKey.startsWith(API_KEY_PREFIX)) {
+    return authenticateApiKey(apiKey);
+  }
+
+  if (bearer) {
+    const claims = verifyJwt(bearer[1]);
+    const user = await prisma.github.findUnique({
+      where: { username: claims.sub },
+    });
+    if (!user) {
+      throw new AccessError(
+        403,
+        "unknown-user",
+        `No GitHub user ${claims.sub} is registered`
+      );
+    }
+    return { username: user.username, method: "jwt", admin: false };
+  }
+
+  throw new AccessError(
+    401,
+    "missing-credentials",
+    "Send an API key (x-api-key) or a bearer token"
+  );
+}
+
+// Callers may only act for themselves, admins for anyone
+export function authorizeUser(principal, username) {
+  if (principal.admin) {
+    return;
+  }
+  if (
+    !username ||
+    username.toLowerCase() !== principal.username.toLowerCase()
+  ) {
+    throw new AccessError(
+      403,
+      "wrong-user",
+      `Authenticated as ${principal.username}, not ${username || "another user"}`
+    );
+  }
+}
+
+// Issues a new API key for a user. The key itself is returned only here;
+// only its hash is stored.
+export async function createApiKey(username, name) {
+  const key = `${API_KEY_PREFIX}${base64url(crypto.randomBytes(32))}`;
+  const user = await prisma.github.upsert({
+    where: { username },
+    create: { username },
+    update: {},
+  });
+
+  const record = await prisma.apiKey.create({
+    data: {
+      github_user_id: user.id,
+      name: name || "default",
+      prefix: key.slice(0, 10),
+      key_hash: hashKey(key),
+    },
+  });
+
+  return { id: record.id, name: record.name, prefix: record.prefix, key };
+}
+
+const KEY_FIELDS = {
+  id: true,
+  name: true,
+  prefix: true,
+  last_used_at: true,
+  revoked_at: true,
+  created_at: true,
+};
+
+export async function listApiKeys(username) {
+  return prisma.apiKey.findMany({
+    where: { github_user: { username } },
+    orderBy: { created_at: "desc" },
+    select: KEY_FIELDS,
+  });
+}
+
+// Resolves to the key with its owner's username, or null
+export async function getApiKey(id) {
+  return prisma.apiKey.findUnique({
+    where: { id },
+    select: { ...KEY_FIELDS, github_user: { select: { username: true } } },
+  });
+}
+
+export async function revokeApiKey(id) {
+  return prisma.apiKey.update({
+    where: { id },
+    data: { revoked_at: new Date() },
+    select: KEY_FIELDS,
+  });
+}
@@ -0,0 +1,159 @@
+import fs from "fs";
+import Ajv from "ajv";
+import { checkMappings } from "./mappings.js";
+
+// Versioned contract for push job messages (see schemas/push-job.v*.json).
+// Producers may send any supported version; messages without a `version`
+// are version 1. Consumers validate against the declared version and then
+// upgrade step by step to the current shape, which is validated again.
+// Released versions are frozen: new fields only go into the current one.
+
+export const CURRENT_VERSION = 2;
+
+const ajv = new Ajv({ allErrors: true });
+
+function loadSchema(name) {
+  const url = new URL(`./schemas/${name}`, import.meta.url);
+  return ajv.compile(JSON.parse(fs.readFileSync(url, "utf-8")));
+}
+
+const validators = {
+  1: loadSchema("push-job.v1.json"),
+  2: loadSchema("push-job.v2.json"),
+};
+
+// Fields added after version 1 was frozen. Version 1 allows unknown fields,
+// so these are refused rather than silently dropped by the upgrade.
+const V2_ONLY_FIELDS = [
+  "provider",
+  "keepEmptyDirs",
+  "transcode",
+  "normalizeEol",
+  "mappings",
+  "history",
+  "historyBranch",
+  "secretPolicy",
+  "callbackUrl",
+];
+
+function checkV1Fields(message) {
+  return V2_ONLY_FIELDS.filter((name) => message[name] !== undefined).map(
+    (name) => ({
+      field: `/${name}`,
+      message: "is only supported from version 2",
+    })
+  );
+}
+
+function upgradeV1(message) {
+  return {
+    version: 2,
+    jobId: message.jobId,
+    attempt: message.attempt,
+    user: message.userName || message.owner,
+    source: { dir: message.sourceDir },
+    target: {
+      owner: message.owner || message.userName,
+      repo: message.repoName,
+      branch: message.branch,
+      baseBranch: message.baseBranch,
+    },
+    commit: { message: message.commitMessage },
+    sync: message.sync,
+    pullRequest: message.pullRequest
+      ? { title: message.pullRequestTitle }
+      : undefined,
+    filters: {
+      ignore: message.ignore,
+      include: message.include,
+      useDefaults: message.useDefaultIgnore,
+    },
+    repository: {
+      ...message.repository,
+      create: message.createRepo,
+      private: message.private,
+    },
+  };
+}
+
+// upgrades[n] turns a version n message into version n + 1
+const upgrades = {
+  1: upgradeV1,
+};
+
+function formatErrors(errors) {
+  return errors.map((error) => {
+    let field = error.instancePath || "/";
+    if (error.keyword === "required") {
+      field = `${error.instancePath}/${error.params.missingProperty}`;
+    } else if (error.keyword === "additionalProperties") {
+      field = `${error.instancePath}/${error.params.additionalProperty}`;
+    }
+    return { field, message: error.message };
+  });
+}
+
+// Validates a push job message of any supported version. Returns every
+// field error, or the message upgraded to CURRENT_VERSION as `job`.
+export function readPushJob(message) {
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    return { errors: [{ field: "/", message: "must be a JSON object" }] };
+  }
+
+  const version = message.version === undefined ? 1 : message.version;
+  const validate = validators[version];
+
+  if (!validate) {
+    const supported = Object.keys(validators).join(", ");
+    return {
+      version,
+      errors: [
+        {
+          field: "/version",
+          message: `unsupported version ${version}, expected one of ${supported}`,
+        },
+      ],
+    };
+  }
+
+  if (!validate(message)) {
+    return { version, errors: formatErrors(validate.errors) };
+  }
+  if (version === 1) {
+    const errors = checkV1Fields(message);
+    if (errors.length) {
+      return { version, errors };
+    }
+  }
+
+  let job = message;
+  for (let v = version; v < CURRENT_VERSION; v++) {
+    job = upgrades[v](job);
+  }
+
+  // An upgraded message has to be a valid current one too
+  const validateCurrent = validators[CURRENT_VERSION];
+  if (version !== CURRENT_VERSION && !validateCurrent(job)) {
+    return {
+      version,
+      errors: formatErrors(validateCurrent.errors).map((e) => ({
+        ...e,
+        message: `${e.message} (after upgrading to version ${CURRENT_VERSION})`,
+      })),
+    };
+  }
+
+  // Overlapping targets cannot be expressed in the schema
+  if (job.source.mappings) {
+    const { errors } = checkMappings(job.source.mappings, "/source/mappings");
+    if (errors.length) {
+      return { version, errors };
+    }
+  }
+
+  return { version, job, errors: [] };
+}
+
+export function describeErrors(errors) {
+  return errors.map((e) => `${e.field} ${e.message}`).join("; ");
+}
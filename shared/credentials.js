@@ -0,0 +1,92 @@
+import {
+  currentKeyId,
+  decryptSecret,
+  encryptSecret,
+  rewrapSecret,
+} from "./envelope.js";
+import { createOctokit } from "./github.js";
+import prisma from "./prisma.js";
+
+// Tokens live only in Github.encrypted_token. Rows still holding a plaintext
+// `token` from before encryption are upgraded the first time they are read.
+
+// Confirms a token is valid and belongs to the given GitHub user.
+export async function verifyGithubToken(username, token) {
+  const octokit = await createOctokit(token);
+  const { data } = await octokit.request("GET /user");
+
+  if (data.login.toLowerCase() !== username.toLowerCase()) {
+    throw new Error(`Token does not belong to GitHub user ${username}`);
+  }
+}
+
+export async function saveGithubToken(username, token) {
+  const { keyId, envelope } = encryptSecret(token);
+
+  return prisma.github.upsert({
+    where: { username },
+    create: { username, encrypted_token: envelope, token_key_id: keyId },
+    update: { token: null, encrypted_token: envelope, token_key_id: keyId },
+    select: { id: true, username: true, token_key_id: true },
+  });
+}
+
+export async function getGithubToken(username) {
+  const record = await prisma.github.findUnique({ where: { username } });
+  if (!record) {
+    return null;
+  }
+
+  if (!record.encrypted_token) {
+    if (!record.token) {
+      return null;
+    }
+    await saveGithubToken(username, record.token);
+    return record.token;
+  }
+
+  const token = decryptSecret(record.encrypted_token);
+
+  if (record.token_key_id !== currentKeyId()) {
+    const { keyId, envelope } = rewrapSecret(record.encrypted_token);
+    await prisma.github.update({
+      where: { id: record.id },
+      data: { encrypted_token: envelope, token_key_id: keyId },
+    });
+  }
+
+  return token;
+}
+
+// Re-wraps every stored token under the current key and encrypts any legacy
+// plaintext ones, so retired keys can be removed from CREDENTIAL_KEYS.
+export async function rotateCredentialKeys() {
+  const keyId = currentKeyId();
+  const records = await prisma.github.findMany({
+    where: {
+      OR: [
+        { token_key_id: { not: keyId } },
+        { token_key_id: null },
+        { token: { not: null } },
+      ],
+    },
+  });
+  let rewrapped = 0;
+  let encrypted = 0;
+
+  for (const record of records) {
+    if (record.encrypted_token) {
+      const { envelope } = rewrapSecret(record.encrypted_token);
+      await prisma.github.update({
+        where: { id: record.id },
+        data: { token: null, encrypted_token: envelope, token_key_id: keyId },
+      });
+      rewrapped++;
+    } else if (record.token) {
+      await saveGithubToken(record.username, record.token);
+      encrypted++;
+    }
+  }
+
+  return { keyId, rewrapped, encrypted };
+}
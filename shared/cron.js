@@ -0,0 +1,121 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in UTC. Fields take `*`, lists (`1,15`), ranges (`1-5`) and
+// steps (`*/10`, `0-30/5`); day-of-week 0 and 7 are both Sunday. Like cron,
+// when both day fields are restricted a day matching either one is due.
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// How far ahead nextRun looks before deciding an expression never matches
+// (e.g. 30 February)
+const SEARCH_YEARS = 5;
+
+export class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CronError";
+  }
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new CronError(`Invalid ${field.name}: ${part}`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (match[1] !== undefined) {
+      from = Number(match[1]);
+      // `5/15` runs from 5 to the end of the range
+      to = match[2] !== undefined ? Number(match[2]) : match[3] ? to : from;
+    }
+    const step = match[3] ? Number(match[3]) : 1;
+
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new CronError(`Invalid ${field.name}: ${part}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Throws a CronError for expressions that cannot be parsed
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new CronError(
+      "Cron expressions have five fields: minute hour day-of-month month day-of-week"
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseField(part, FIELDS[i])
+  );
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.anyDay) {
+    return weekday;
+  }
+  if (cron.anyWeekday) {
+    return day;
+  }
+  return day || weekday;
+}
+
+// The first minute after `from` at which the expression is due, or null when
+// it never is
+export function nextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const limit = from.getTime() + SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Whole months, days and hours that cannot match are skipped at once
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
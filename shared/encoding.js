@@ -0,0 +1,85 @@
+// Character encoding detection for source files. Git stores bytes, but
+// files read as text are sent as UTF-8 strings, so anything else has to be
+// recognized before it is read: a UTF-16 file would otherwise look binary
+// (its null bytes) and a Latin-1 file would be mangled by a UTF-8 decode.
+
+const BOMS = [
+  { encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: "utf-16le", bytes: [0xff, 0xfe] },
+  { encoding: "utf-16be", bytes: [0xfe, 0xff] },
+];
+
+function startsWith(buffer, bytes) {
+  return bytes.every((b, i) => buffer[i] === b);
+}
+
+// UTF-16 without a BOM: mostly ASCII text has a null in every other byte
+function guessUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) {
+    return null;
+  }
+
+  let evenNulls = 0;
+  let oddNulls = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) {
+      evenNulls++;
+    }
+    if (sample[i + 1] === 0) {
+      oddNulls++;
+    }
+  }
+
+  if (oddNulls >= pairs * 0.7 && evenNulls === 0) {
+    return "utf-16le";
+  }
+  if (evenNulls >= pairs * 0.7 && oddNulls === 0) {
+    return "utf-16be";
+  }
+  return null;
+}
+
+function isUtf8(buffer, partial) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer, {
+      stream: partial,
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Detects the encoding of a file from its first bytes. Resolves to one of
+// "utf-8", "utf-16le", "utf-16be" and "windows-1252" (which also covers
+// Latin-1), or null when the content is binary.
+export function detectEncoding(sample) {
+  const bom = BOMS.find((b) => startsWith(sample, b.bytes));
+  if (bom) {
+    return bom.encoding;
+  }
+
+  if (sample.includes(0)) {
+    return guessUtf16(sample);
+  }
+
+  // The sample may end in the middle of a character
+  return isUtf8(sample, true) ? "utf-8" : "windows-1252";
+}
+
+// Decodes a whole file read as `encoding`. A file that looked like UTF-8
+// from its first bytes but is not valid further on is read as
+// windows-1252. Resolves to { text, encoding } with the encoding used.
+export function decodeText(buffer, encoding) {
+  if (encoding === "utf-8") {
+    if (isUtf8(buffer, false)) {
+      return { text: buffer.toString("utf-8"), encoding };
+    }
+    encoding = "windows-1252";
+  }
+
+  // A UTF-16 BOM is dropped; the UTF-8 result carries none
+  const text = new TextDecoder(encoding).decode(buffer);
+  return { text, encoding };
+}
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+
+// Envelope encryption for secrets stored at rest. Every secret gets its own
+// random data key; the data key is wrapped with a master key configured in
+// CREDENTIAL_KEYS ("keyId:base64key,keyId:base64key", 32-byte keys).
+// CREDENTIAL_KEY_ID picks the key used for new secrets and defaults to the
+// first one listed; older keys stay listed until everything is re-wrapped.
+
+const ALGORITHM = "aes-256-gcm";
+
+function loadKeys() {
+  const keys = new Map();
+
+  for (const entry of (process.env.CREDENTIAL_KEYS || "").split(",")) {
+    const [id, value] = entry.trim().split(":");
+    if (!id || !value) {
+      continue;
+    }
+
+    const key = Buffer.from(value, "base64");
+    if (key.length !== 32) {
+      throw new Error(`Credential key ${id} must be 32 bytes`);
+    }
+    keys.set(id, key);
+  }
+
+  if (!keys.size) {
+    throw new Error("CREDENTIAL_KEYS is not configured");
+  }
+
+  return keys;
+}
+
+export function currentKeyId() {
+  const keys = loadKeys();
+  const id = process.env.CREDENTIAL_KEY_ID || keys.keys().next().value;
+
+  if (!keys.has(id)) {
+    throw new Error(`CREDENTIAL_KEY_ID ${id} is not in CREDENTIAL_KEYS`);
+  }
+
+  return id;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64");
+}
+
+function open(key, sealed) {
+  const buffer = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.slice(0, 12));
+  decipher.setAuthTag(buffer.slice(12, 28));
+  return Buffer.concat([decipher.update(buffer.slice(28)), decipher.final()]);
+}
+
+export function encryptSecret(plaintext) {
+  const keyId = currentKeyId();
+  const masterKey = loadKeys().get(keyId);
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    keyId,
+    envelope: JSON.stringify({
+      v: 1,
+      kid: keyId,
+      key: seal(masterKey, dataKey),
+      data: seal(dataKey, Buffer.from(plaintext, "utf-8")),
+    }),
+  };
+}
+
+export function decryptSecret(envelope) {
+  const { kid, key, data } = JSON.parse(envelope);
+  const masterKey = loadKeys().get(kid);
+
+  if (!masterKey) {
+    throw new Error(`Credential key ${kid} is no longer configured`);
+  }
+
+  return open(open(masterKey, key), data).toString("utf-8");
+}
+
+// Re-wraps the data key with the current master key; the secret itself is
+// not re-encrypted.
+export function rewrapSecret(envelope) {
+  const parsed = JSON.parse(envelope);
+  const keys = loadKeys();
+  const keyId = currentKeyId();
+
+  if (parsed.kid === keyId) {
+    return { keyId, envelope };
+  }
+
+  const oldKey = keys.get(parsed.kid);
+  if (!oldKey) {
+    throw new Error(`Credential key ${parsed.kid} is no longer configured`);
+  }
+
+  return {
+    keyId,
+    envelope: JSON.stringify({
+      ...parsed,
+      kid: keyId,
+      key: seal(keys.get(keyId), open(oldKey, parsed.key)),
+    }),
+  };
+}
@@ -0,0 +1,64 @@
+// Sorts push failures into what is worth retrying. GitHub signals rate
+// limits with 403/429 plus retry-after or x-ratelimit-* headers; 409s are
+// ref/repository conflicts; 5xx and network errors are transient.
+
+const NETWORK_ERRORS = ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"];
+
+function header(error, name) {
+  const headers = (error.response && error.response.headers) || {};
+  return headers[name];
+}
+
+// Milliseconds GitHub asked us to wait, if it said so
+function requestedDelay(error) {
+  const retryAfter = Number(header(error, "retry-after"));
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+
+  const reset = Number(header(error, "x-ratelimit-reset"));
+  if (reset > 0 && header(error, "x-ratelimit-remaining") === "0") {
+    return Math.max(reset * 1000 - Date.now(), 0);
+  }
+
+  return null;
+}
+
+export function classifyError(error) {
+  const status = error.status;
+  const message = String(error.message || "").toLowerCase();
+
+  if (
+    (status === 403 || status === 429) &&
+    (requestedDelay(error) !== null || message.includes("rate limit"))
+  ) {
+    return {
+      kind: "rate-limit",
+      retryable: true,
+      delayMs: requestedDelay(error),
+    };
+  }
+
+  if (status === 409) {
+    return { kind: "conflict", retryable: true, delayMs: null };
+  }
+
+  if (status >= 500 || NETWORK_ERRORS.includes(error.code)) {
+    return { kind: "transient", retryable: true, delayMs: null };
+  }
+
+  return { kind: "permanent", retryable: false, delayMs: null };
+}
+
+// Exponential backoff with jitter; a delay GitHub asked for always wins.
+export function retryDelay(attempt, classification) {
+  const base = (Number(process.env.PUSH_RETRY_BASE_SECONDS) || 30) * 1000;
+  const max = (Number(process.env.PUSH_RETRY_MAX_SECONDS) || 3600) * 1000;
+
+  if (classification.delayMs !== null) {
+    return Math.min(classification.delayMs + 1000, max);
+  }
+
+  const backoff = base * 2 ** (attempt - 1);
+  return Math.min(backoff + Math.random() * base, max);
+}
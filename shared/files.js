@@ -0,0 +1,781 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import {
+  createAttributeRules,
+  enterAttributes,
+  getAttributes,
+  normalizesEol,
+} from "./attributes.js";
+import { decodeText, detectEncoding } from "./encoding.js";
+import { createIgnoreRules, enterDirectory, matchIgnore } from "./ignore.js";
+import { checkMappings, MappingError, mapPath } from "./mappings.js";
+
+// Text files up to this size are inlined in the tree request
+const MAX_INLINE_SIZE = 1024 * 1024; // 1MB
+// GitHub rejects blobs larger than 100MB
+const MAX_BLOB_SIZE = 100 * 1024 * 1024;
+const SAMPLE_SIZE = 1024;
+
+// Limits on what one push may collect
+const MAX_SOURCE_FILES = Number(process.env.SOURCE_MAX_FILES) || 50000;
+const MAX_SOURCE_BYTES =
+  Number(process.env.SOURCE_MAX_BYTES) || 1024 * 1024 * 1024;
+
+// Files inspected, hashed or uploaded at once
+export const CONCURRENCY = Number(process.env.SOURCE_CONCURRENCY) || 8;
+
+export class SourceLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SourceLimitError";
+  }
+}
+
+// Git tree entry modes
+export const FILE_MODES = {
+  file: "100644",
+  executable: "100755",
+  symlink: "120000",
+  submodule: "160000",
+};
+
+export function isTextFile(fileName) {
+  const textExtensions = [
+    // Web Development
+    ".js",
+    ".jsx",
+    ".ts",
+    ".tsx",
+    ".vue",
+    ".svelte",
+    ".astro",
+    ".html",
+    ".htm",
+    ".xml",
+    ".svg",
+    ".css",
+    ".scss",
+    ".sass",
+    ".less",
+    ".stylus",
+    ".json",
+    ".jsonc",
+    ".json5",
+
+    // Module formats
+    ".mjs",
+    ".cjs",
+    ".esm",
+
+    // Config files
+    ".config.js",
+    ".config.ts",
+    ".config.mjs",
+    ".config.cjs",
+
+    // Documentation and text
+    ".md",
+    ".mdx",
+    ".txt",
+    ".rst",
+
+    // Other programming languages
+    ".py",
+    ".java",
+    ".cpp",
+    ".c",
+    ".h",
+    ".cs",
+    ".php",
+    ".rb",
+    ".go",
+    ".rs",
+    ".swift",
+    ".kt",
+    ".scala",
+    ".dart",
+    ".lua",
+
+    // Shell scripts
+    ".sh",
+    ".bash",
+    ".zsh",
+    ".fish",
+    ".ps1",
+    ".cmd",
+    ".bat",
+
+    // Data and config formats
+    ".yml",
+    ".yaml",
+    ".toml",
+    ".ini",
+    ".cfg",
+    ".conf",
+    ".properties",
+    ".csv",
+    ".tsv",
+    ".sql",
+
+    // Environment and config files (common names)
+    ".env.example",
+    ".env.template",
+    ".env.sample",
+    ".gitignore",
+    ".gitattributes",
+    ".editorconfig",
+    ".prettierrc",
+    ".eslintrc",
+    ".babelrc",
+    ".browserslistrc",
+    ".npmrc",
+    ".nvmrc",
+
+    // Map files (source maps)
+    ".map",
+  ];
+
+  const ext = path.extname(fileName).toLowerCase();
+  const fullName = fileName.toLowerCase();
+
+  // Dot files like .gitattributes have no extension of their own
+  if (textExtensions.includes(fullName)) {
+    return true;
+  }
+
+  // Handle files without extensions (like README, LICENSE, Dockerfile, etc.)
+  if (!ext && !fileName.startsWith(".")) {
+    const textFileNames = [
+      "readme",
+      "license",
+      "changelog",
+      "contributing",
+      "authors",
+      "copying",
+      "install",
+      "news",
+      "todo",
+      "makefile",
+      "dockerfile",
+      "procfile",
+      "rakefile",
+      "gemfile",
+      "guardfile",
+      "gruntfile",
+      "gulpfile",
+    ];
+    return textFileNames.some((name) => fullName.includes(name));
+  }
+
+  // Check if extension is in our text extensions list
+  if (textExtensions.includes(ext)) {
+    return true;
+  }
+
+  // Handle special config file patterns
+  if (
+    fullName.includes("config") &&
+    (ext === ".js" || ext === ".ts" || ext === ".mjs" || ext === ".cjs")
+  ) {
+    return true;
+  }
+
+  // Handle dot files that are configuration
+  if (
+    fileName.startsWith(".") &&
+    (fullName.includes("rc") ||
+      fullName.includes("config") ||
+      fullName.includes("ignore") ||
+      fullName.includes("lint"))
+  ) {
+    return true;
+  }
+
+  return false;
+}
+
+// The first bytes of a file, enough to tell its encoding
+async function readSample(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const sample = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(sample, 0, sample.length, 0);
+    return sample.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Hashes a file as a git blob without reading it into memory at once
+async function hashBlob(filePath, size) {
+  const hash = crypto.createHash("sha1").update(`blob ${size}\0`);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+// Resolves the .git directory of a checkout; submodules usually have a
+// ".git" file pointing into the parent's .git/modules instead.
+function resolveGitDir(dir) {
+  const dotGit = path.join(dir, ".git");
+  if (!fs.existsSync(dotGit)) {
+    return null;
+  }
+  if (fs.statSync(dotGit).isDirectory()) {
+    return dotGit;
+  }
+
+  const match = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, "utf-8"));
+  return match ? path.resolve(dir, match[1].trim()) : null;
+}
+
+// Reads the commit a checkout's HEAD points at, following loose and packed
+// refs.
+function readHead(gitDir) {
+  const head = fs.readFileSync(path.join(gitDir, "HEAD"), "utf-8").trim();
+  if (!head.startsWith("ref: ")) {
+    return head;
+  }
+
+  const ref = head.slice("ref: ".length);
+  const loose = path.join(gitDir, ref);
+  if (fs.existsSync(loose)) {
+    return fs.readFileSync(loose, "utf-8").trim();
+  }
+
+  const packed = path.join(gitDir, "packed-refs");
+  if (fs.existsSync(packed)) {
+    for (const line of fs.readFileSync(packed, "utf-8").split("\n")) {
+      const [sha, name] = line.trim().split(" ");
+      if (name === ref) {
+        return sha;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Parses .gitmodules into a map of submodule path -> checked out commit.
+// Submodules that are not checked out cannot be resolved and are left out.
+export function readSubmodules(root) {
+  const submodules = new Map();
+  const file = path.join(root, ".gitmodules");
+  if (!fs.existsSync(file)) {
+    return submodules;
+  }
+
+  for (const match of fs
+    .readFileSync(file, "utf-8")
+    .matchAll(/^\s*path\s*=\s*(.+?)\s*$/gm)) {
+    const subPath = match[1].replace(/\\/g, "/").replace(/\/+$/, "");
+
+    try {
+      const gitDir = resolveGitDir(path.join(root, subPath));
+      const sha = gitDir && readHead(gitDir);
+      if (sha && /^[0-9a-f]{40}$/.test(sha)) {
+        submodules.set(subPath, sha);
+      } else {
+        console.warn(`Skipping submodule that is not checked out: ${subPath}`);
+      }
+    } catch (error) {
+      console.warn(`Error reading submodule ${subPath}:`, error);
+    }
+  }
+
+  return submodules;
+}
+
+function reportSkip(options, entry) {
+  if (options.onSkip) {
+    options.onSkip(entry);
+  }
+}
+
+// Counts a collected file against the walk's limits
+function countFile(options, size) {
+  const totals = options.totals;
+  totals.files++;
+  totals.bytes += size;
+
+  if (totals.files > options.maxFiles) {
+    throw new SourceLimitError(
+      `Source has more than ${options.maxFiles} files`
+    );
+  }
+  if (totals.bytes > options.maxBytes) {
+    throw new SourceLimitError(
+      `Source is larger than ${options.maxBytes} bytes`
+    );
+  }
+}
+
+// Binary files (and text that is not inlined) go up through the blobs API.
+// They are only hashed here and read again when uploaded, so their content
+// is never held for the whole walk. `reason` says why it is not inlined.
+async function blobEntry(filePath, relativeEntry, stat, mode, reason, options) {
+  if (stat.size > MAX_BLOB_SIZE) {
+    console.warn(
+      `Skipping large file: ${relativeEntry} (${(
+        stat.size /
+        1024 /
+        1024
+      ).toFixed(2)}MB)`
+    );
+    reportSkip(options, {
+      path: relativeEntry,
+      type: "file",
+      reason: "too-large",
+      size: stat.size,
+    });
+    return null;
+  }
+
+  return {
+    entry: {
+      path: relativeEntry,
+      encoding: "base64",
+      mode,
+      source: filePath,
+      size: stat.size,
+      sha: await hashBlob(filePath, stat.size),
+      reason,
+    },
+    size: stat.size,
+  };
+}
+
+// Looks at one directory entry. Resolves to { directory } for a folder to
+// walk into, { entry, size } for a collected file, or null when skipped.
+async function inspectEntry(
+  filePath,
+  relativeEntry,
+  rules,
+  attributeRules,
+  options
+) {
+  let stat;
+  try {
+    stat = await fs.promises.lstat(filePath);
+  } catch (statError) {
+    console.warn(`Error accessing ${filePath}:`, statError);
+    reportSkip(options, {
+      path: relativeEntry,
+      type: "file",
+      reason: "unreadable",
+      error: statError.message,
+    });
+    return null;
+  }
+
+  if (stat.isDirectory()) {
+    // Skip ignored directories
+    const match = matchIgnore(rules, relativeEntry, true);
+    if (match) {
+      console.log(
+        `Skipping directory: ${relativeEntry} (${match.source}: ${match.pattern})`
+      );
+      reportSkip(options, {
+        path: relativeEntry,
+        type: "directory",
+        reason: "ignored",
+        rule: `${match.source}: ${match.pattern}`,
+      });
+      return null;
+    }
+
+    if (options.submodules.has(relativeEntry)) {
+      return {
+        entry: {
+          path: relativeEntry,
+          mode: FILE_MODES.submodule,
+          sha: options.submodules.get(relativeEntry),
+        },
+        size: 0,
+      };
+    }
+
+    return { directory: filePath };
+  }
+
+  // Skip ignored files
+  const match = matchIgnore(rules, relativeEntry, false);
+  if (match) {
+    console.log(
+      `Skipping file: ${relativeEntry} (${match.source}: ${match.pattern})`
+    );
+    reportSkip(options, {
+      path: relativeEntry,
+      type: "file",
+      reason: "ignored",
+      rule: `${match.source}: ${match.pattern}`,
+    });
+    return null;
+  }
+
+  // Skip invalid paths
+  if (relativeEntry.includes("..") || relativeEntry.startsWith("/")) {
+    console.warn(`Skipping invalid path: ${relativeEntry}`);
+    reportSkip(options, {
+      path: relativeEntry,
+      type: "file",
+      reason: "invalid-path",
+    });
+    return null;
+  }
+
+  // Sizes only, for measuring a source
+  if (options.statOnly) {
+    return { entry: { path: relativeEntry, size: stat.size }, size: stat.size };
+  }
+
+  try {
+    if (stat.isSymbolicLink()) {
+      const link = await fs.promises.readlink(filePath);
+      const target = link.replace(/\\/g, "/");
+      return {
+        entry: {
+          path: relativeEntry,
+          content: target,
+          mode: FILE_MODES.symlink,
+        },
+        size: Buffer.byteLength(target),
+      };
+    }
+
+    const mode = stat.mode & 0o111 ? FILE_MODES.executable : FILE_MODES.file;
+    const attributes = getAttributes(attributeRules, relativeEntry);
+
+    // `binary` and `-text` attributes decide first, and files marked `text`
+    // (or with an `eol`) are text whatever their name. Without attributes
+    // known text names are text in any encoding they look like, and other
+    // files when their content is UTF-8. `reason` says why a file is not.
+    let encoding = null;
+    let reason = null;
+    if (attributes.text === false) {
+      reason = attributes.binary ? "binary-attribute" : "text-attribute";
+    } else {
+      encoding = detectEncoding(await readSample(filePath));
+      if (encoding === null) {
+        reason = "binary";
+      } else if (
+        attributes.text === undefined &&
+        !attributes.eol &&
+        encoding !== "utf-8" &&
+        !isTextFile(path.basename(filePath))
+      ) {
+        reason = "not-text";
+      }
+    }
+
+    // Text in another encoding is pushed byte for byte unless transcoded
+    const readAsText =
+      reason === null && (encoding === "utf-8" || !!options.transcode);
+    const normalize = readAsText && normalizesEol(attributes, true);
+
+    const converts = normalize || encoding !== "utf-8";
+
+    if (
+      !readAsText ||
+      stat.size > MAX_BLOB_SIZE ||
+      (stat.size > MAX_INLINE_SIZE && !converts)
+    ) {
+      return blobEntry(
+        filePath,
+        relativeEntry,
+        stat,
+        mode,
+        reason || (readAsText ? "over-1mb" : "encoding"),
+        options
+      );
+    }
+
+    const decoded = decodeText(await fs.promises.readFile(filePath), encoding);
+    if (decoded.encoding !== encoding && !options.transcode) {
+      // Looked like UTF-8 at first but is not
+      return blobEntry(
+        filePath,
+        relativeEntry,
+        stat,
+        mode,
+        "encoding",
+        options
+      );
+    }
+
+    let content = decoded.text;
+    const converted = [];
+    if (decoded.encoding !== "utf-8") {
+      converted.push(`${decoded.encoding} to utf-8`);
+    }
+    if (normalize && content.includes("\r\n")) {
+      content = content.replace(/\r\n/g, "\n");
+      converted.push("crlf to lf");
+    }
+
+    // Normalized text can still be too large to inline
+    const entry =
+      Buffer.byteLength(content) > MAX_INLINE_SIZE
+        ? {
+            path: relativeEntry,
+            content: Buffer.from(content, "utf-8").toString("base64"),
+            encoding: "base64",
+            mode,
+            reason: "over-1mb",
+          }
+        : { path: relativeEntry, content, mode };
+    if (converted.length) {
+      entry.converted = converted;
+    }
+
+    return { entry, size: stat.size };
+  } catch (readError) {
+    console.warn(`Error reading file ${relativeEntry}:`, readError);
+    reportSkip(options, {
+      path: relativeEntry,
+      type: "file",
+      reason: "unreadable",
+      error: readError.message,
+    });
+    return null;
+  }
+}
+
+// Walks a source directory and yields every file that is not excluded by
+// the ignore rules (defaults, .gitignore/.pushignore files found on the way
+// and per-request patterns). Up to `concurrency` entries of a directory are
+// inspected at once; subdirectories are walked one after the other.
+//
+// Symlinks are not followed but collected with their target as content,
+// files with an executable bit get mode 100755, and submodules listed in a
+// root .gitmodules become commit entries. With `keepEmptyDirs`, an empty
+// `.gitkeep` is added to directories that have no entries at all.
+// `onSkip` is called with { path, type, reason, rule, size, error } for
+// every entry that is left out. A SourceLimitError is thrown as soon as more
+// than `maxFiles` files or `maxBytes` bytes are collected. With `statOnly`
+// files are not read and only { path, size } is yielded.
+//
+// Text is sent as UTF-8: files in another encoding (UTF-16, Latin-1) are
+// pushed byte for byte as blobs, or converted with `transcode`. Line endings
+// are normalized to LF as the source's .gitattributes say, and for every
+// file that looks like text with `normalizeEol`. Converted files list what
+// was done in `converted`.
+export async function* walkFiles(
+  dir,
+  root = dir,
+  rules = createIgnoreRules(),
+  options = {},
+  attributeRules = createAttributeRules(options)
+) {
+  if (!options.totals) {
+    options = startWalk(root, options);
+  }
+
+  const relativeDir = path.relative(root, dir).replace(/\\/g, "/");
+  rules = enterDirectory(rules, dir, relativeDir);
+  attributeRules = enterAttributes(attributeRules, dir, relativeDir);
+
+  let list;
+  try {
+    list = await fs.promises.readdir(dir);
+  } catch (dirError) {
+    console.error(`Error reading directory ${dir}:`, dirError);
+    reportSkip(options, {
+      path: relativeDir || ".",
+      type: "directory",
+      reason: "unreadable",
+      error: dirError.message,
+    });
+    return;
+  }
+
+  if (!list.length && relativeDir && options.keepEmptyDirs) {
+    countFile(options, 0);
+    yield {
+      path: `${relativeDir}/.gitkeep`,
+      content: "",
+      mode: FILE_MODES.file,
+    };
+    return;
+  }
+
+  for (let i = 0; i < list.length; i += options.concurrency) {
+    const inspected = await Promise.all(
+      list.slice(i, i + options.concurrency).map((file) =>
+        inspectEntry(
+          path.join(dir, file),
+          relativeDir ? `${relativeDir}/${file}` : file,
+          rules,
+          attributeRules,
+          options
+        )
+      )
+    );
+
+    for (const item of inspected) {
+      if (!item) {
+        continue;
+      }
+      if (item.directory) {
+        yield* walkFiles(item.directory, root, rules, options, attributeRules);
+        continue;
+      }
+      countFile(options, item.size);
+      yield item.entry;
+    }
+  }
+}
+
+// The state one walk shares between directories, limits included
+function startWalk(root, options) {
+  return {
+    ...options,
+    concurrency: options.concurrency || CONCURRENCY,
+    maxFiles: options.maxFiles || MAX_SOURCE_FILES,
+    maxBytes: options.maxBytes || MAX_SOURCE_BYTES,
+    submodules: readSubmodules(root),
+    totals: { files: 0, bytes: 0 },
+  };
+}
+
+// Walks the mapped directories of a source one after another, within one
+// set of limits. The .gitignore and .gitattributes files of the directories
+// above a mapped one still apply, as they do in a full walk.
+async function* walkMappings(dir, rules, options) {
+  const walk = startWalk(dir, options);
+
+  // Mapped directories that are not real directories of the source (a
+  // symlink out of it, say) are refused before anything is read
+  const { mappings, errors } = checkMappings(
+    options.mappings,
+    "/mappings",
+    dir
+  );
+  if (errors.length) {
+    throw new MappingError(errors);
+  }
+
+  for (const mapping of mappings) {
+    const mappedDir = path.join(dir, mapping.from);
+
+    let mappedRules = rules;
+    let attributeRules = createAttributeRules(options);
+    const segments = mapping.from ? mapping.from.split("/") : [];
+    for (let depth = 0; depth < segments.length; depth++) {
+      const relativeDir = segments.slice(0, depth).join("/");
+      mappedRules = enterDirectory(
+        mappedRules,
+        path.join(dir, relativeDir),
+        relativeDir
+      );
+      attributeRules = enterAttributes(
+        attributeRules,
+        path.join(dir, relativeDir),
+        relativeDir
+      );
+    }
+
+    for await (const file of walkFiles(
+      mappedDir,
+      dir,
+      mappedRules,
+      walk,
+      attributeRules
+    )) {
+      yield { ...file, path: mapPath(mapping, file.path) };
+    }
+  }
+}
+
+// Walks a source as walkFiles does, yielding files as they are found. With
+// `options.mappings` (see mappings.js) only the mapped directories are
+// walked, and their files yielded at their target paths.
+export function iterateFiles(dir, rules, options = {}) {
+  return options.mappings && options.mappings.length
+    ? walkMappings(dir, rules, options)
+    : walkFiles(dir, dir, rules, options);
+}
+
+// iterateFiles collected into an array
+export async function collectFiles(dir, rules, options = {}) {
+  const files = [];
+  for await (const file of iterateFiles(dir, rules, options)) {
+    files.push(file);
+  }
+  return files;
+}
+
+// Thrown by resolveSourceDir for a source directory a request cannot use
+export class SourceDirError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SourceDirError";
+  }
+}
+
+// Resolves a job's source directory against SOURCE_ROOT (or the working
+// directory) and refuses anything that points outside of it.
+export function resolveSourceDir(sourceDir) {
+  const root = path.resolve(process.env.SOURCE_ROOT || ".");
+  const resolved = path.resolve(root, sourceDir);
+
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new SourceDirError(
+      `Source directory escapes SOURCE_ROOT: ${sourceDir}`
+    );
+  }
+
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new SourceDirError(`Source directory not found: ${sourceDir}`);
+  }
+
+  return resolved;
+}
+
+// Computes the SHA-1 git would assign to a collected file's blob, so local
+// files can be compared with the entries of an existing tree. Submodule
+// entries already carry the commit they point at, and blobs read from disk
+// the SHA hashed while walking.
+export function gitBlobSha(file) {
+  if (file.sha) {
+    return file.sha;
+  }
+
+  const data = Buffer.from(
+    file.content,
+    file.encoding === "base64" ? "base64" : "utf-8"
+  );
+
+  return crypto
+    .createHash("sha1")
+    .update(`blob ${data.length}\0`)
+    .update(data)
+    .digest("hex");
+}
+
+// A collected file's content as base64, in chunks. Blobs are streamed from
+// disk, so no more than a chunk of one is held in memory at a time.
+export async function* streamBase64(file) {
+  if (!file.source) {
+    yield file.encoding === "base64"
+      ? file.content
+      : Buffer.from(file.content, "utf-8").toString("base64");
+    return;
+  }
+
+  // Chunks are cut at multiples of three bytes so they encode without padding
+  let rest = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(file.source)) {
+    const data = rest.length ? Buffer.concat([rest, chunk]) : chunk;
+    const whole = data.length - (data.length % 3);
+    if (whole) {
+      yield data.subarray(0, whole).toString("base64");
+    }
+    rest = data.subarray(whole);
+  }
+  if (rest.length) {
+    yield rest.toString("base64");
+  }
+}
@@ -0,0 +1,301 @@
+import { FILE_MODES, streamBase64 } from "./files.js";
+import { diffFiles, RefConflictError } from "./push.js";
+import { createRestClient, StreamedString } from "./rest.js";
+
+// Provider (see providers.js) for one Gitea (or Forgejo) repository. Commits
+// go through the change-files contents API (Gitea 1.20+), which takes every
+// create/update/delete for one commit in a single request. It cannot set
+// file modes or write symlinks and submodules: executable bits are dropped
+// and links are skipped, with a warning.
+
+const PER_PAGE = 1000;
+
+function isConflict(error) {
+  return error.status === 409 || error.status === 422;
+}
+
+// Executable bits cannot be written, so they are left out of the comparison
+// too; otherwise every sync would see the same scripts as modified.
+function withoutModes(files) {
+  return files.map((f) =>
+    f.mode === FILE_MODES.executable ? { ...f, mode: FILE_MODES.file } : f
+  );
+}
+
+export function createGiteaProvider({ baseUrl, token, owner, repo }) {
+  const request = createRestClient({
+    baseUrl: `${baseUrl.replace(/\/+$/, "")}/api/v1`,
+    headers: { authorization: `token ${token}` },
+  });
+  const params = { owner, repo };
+
+  async function getRepository() {
+    try {
+      const response = await request("GET", "/repos/{owner}/{repo}", {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function listFiles(commitSha) {
+    const files = new Map();
+
+    for (let page = 1; ; page++) {
+      const response = await request(
+        "GET",
+        "/repos/{owner}/{repo}/git/trees/{sha}",
+        {
+          params: { ...params, sha: commitSha },
+          query: { recursive: true, per_page: PER_PAGE, page },
+        }
+      );
+      for (const entry of response.data.tree || []) {
+        if (entry.type === "blob" || entry.type === "commit") {
+          files.set(entry.path, { sha: entry.sha, mode: entry.mode });
+        }
+      }
+      if (!response.data.truncated) {
+        return files;
+      }
+    }
+  }
+
+  async function createBranch(branch, sha) {
+    try {
+      await request("POST", "/repos/{owner}/{repo}/branches", {
+        params,
+        body: { new_branch_name: branch, old_ref_name: sha },
+      });
+    } catch (error) {
+      if (isConflict(error)) {
+        throw new RefConflictError(`${owner}/${repo}@${branch} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: "gitea",
+    owner,
+    repo,
+
+    // Created under the authenticated user, or under an organization when
+    // `owner` is someone else; `template` ("owner/name") generates the
+    // repository from a template repository instead.
+    async ensureRepository({
+      create = true,
+      isPrivate = true,
+      visibility,
+      description,
+      topics,
+      licenseTemplate,
+      gitignoreTemplate,
+      template,
+      autoInit = true,
+    }) {
+      let data = await getRepository();
+      const created = !data;
+
+      if (!data) {
+        if (!create) {
+          throw new Error(`Repository ${owner}/${repo} does not exist`);
+        }
+
+        const access = visibility ? visibility !== "public" : isPrivate;
+        const { data: user } = await request("GET", "/user");
+
+        if (template) {
+          const [templateOwner, templateRepo] = template.split("/");
+          const response = await request(
+            "POST",
+            "/repos/{templateOwner}/{templateRepo}/generate",
+            {
+              params: { templateOwner, templateRepo },
+              body: {
+                owner,
+                name: repo,
+                description,
+                private: access,
+                git_content: true,
+              },
+            }
+          );
+          data = response.data;
+        } else {
+          const isOrg = user.login.toLowerCase() !== owner.toLowerCase();
+          const response = await request(
+            "POST",
+            isOrg ? "/orgs/{owner}/repos" : "/user/repos",
+            {
+              params,
+              body: {
+                name: repo,
+                description,
+                private: access,
+                auto_init: autoInit,
+                default_branch: "main",
+                license: licenseTemplate,
+                gitignores: gitignoreTemplate,
+              },
+            }
+          );
+          data = response.data;
+        }
+
+        if (topics && topics.length) {
+          await request("PUT", "/repos/{owner}/{repo}/topics", {
+            params,
+            body: { topics: topics.map((t) => t.toLowerCase()) },
+          });
+        }
+      }
+
+      return {
+        data: {
+          url: data.html_url,
+          defaultBranch: data.default_branch || "main",
+          visibility: data.private ? "private" : "public",
+        },
+        created,
+      };
+    },
+
+    async getBranchHead(branch) {
+      try {
+        const response = await request(
+          "GET",
+          "/repos/{owner}/{repo}/branches/{branch}",
+          { params: { ...params, branch } }
+        );
+        return response.data.commit.id;
+      } catch (error) {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    listFiles,
+
+    // Updates and deletes carry the blob sha they replace, so Gitea rejects
+    // the commit if one of those files changed in the meantime.
+    async commit({
+      branch,
+      base,
+      branchExists,
+      parentSha,
+      files,
+      deleted,
+      replace,
+      message,
+      onStage = async () => {},
+    }) {
+      const remote = parentSha ? await listFiles(parentSha) : new Map();
+      const diff = diffFiles(remote, withoutModes(files));
+      const changes = [];
+
+      for (const f of [...diff.added, ...diff.modified]) {
+        if (f.mode === FILE_MODES.symlink || f.mode === FILE_MODES.submodule) {
+          console.warn(`Skipping ${f.path}: Gitea commits cannot hold links`);
+          continue;
+        }
+
+        const existing = remote.get(f.path);
+        changes.push({
+          operation: existing ? "update" : "create",
+          path: f.path,
+          content: new StreamedString(streamBase64(f)),
+          sha: existing ? existing.sha : undefined,
+        });
+      }
+
+      for (const deletedPath of replace ? diff.deleted : deleted) {
+        changes.push({
+          operation: "delete",
+          path: deletedPath,
+          sha: remote.get(deletedPath).sha,
+        });
+      }
+
+      if (!changes.length) {
+        if (!branchExists) {
+          await createBranch(branch, parentSha);
+        }
+        return parentSha;
+      }
+
+      // A new branch starts from the base branch the parent was read from
+      const target =
+        branchExists || !parentSha
+          ? { branch }
+          : { branch: base, new_branch: branch };
+
+      await onStage("committing");
+      try {
+        const response = await request(
+          "POST",
+          "/repos/{owner}/{repo}/contents",
+          { params, body: { ...target, message, files: changes } }
+        );
+        return response.data.commit.sha;
+      } catch (error) {
+        if (isConflict(error)) {
+          throw new RefConflictError(`${owner}/${repo}@${branch} has moved`);
+        }
+        throw error;
+      }
+    },
+
+    createBranch,
+
+    // Gitea takes a token as the user name of basic auth
+    gitRemote() {
+      return {
+        url: `${baseUrl.replace(/\/+$/, "")}/${owner}/${repo}.git`,
+        auth: `${token}:x-oauth-basic`,
+      };
+    },
+
+    async openMergeRequest({ head, base, title, body }) {
+      const existing = await request("GET", "/repos/{owner}/{repo}/pulls", {
+        params,
+        query: { state: "open", limit: 50 },
+      });
+      const open = existing.data.find(
+        (pr) => pr.head.ref === head && pr.base.ref === base
+      );
+
+      if (open) {
+        const updated = await request(
+          "PATCH",
+          "/repos/{owner}/{repo}/pulls/{index}",
+          { params: { ...params, index: open.number }, body: { title, body } }
+        );
+        return {
+          number: updated.data.number,
+          url: updated.data.html_url,
+          created: false,
+        };
+      }
+
+      const created = await request("POST", "/repos/{owner}/{repo}/pulls", {
+        params,
+        body: { head, base, title, body },
+      });
+      return {
+        number: created.data.number,
+        url: created.data.html_url,
+        created: true,
+      };
+    },
+
+    close() {},
+  };
+}
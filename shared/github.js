@@ -0,0 +1,329 @@
+import {
+  CONCURRENCY,
+  FILE_MODES,
+  gitBlobSha,
+  streamBase64,
+} from "./files.js";
+import { ensureRepository } from "./provisioning.js";
+import { RefConflictError } from "./push.js";
+import { encodeJson, StreamedString } from "./rest.js";
+
+export async function createOctokit(token) {
+  const { Octokit } = await import("@octokit/rest");
+  return new Octokit({
+    auth: token,
+  });
+}
+
+async function getBranchSha(octokit, owner, repo, branch) {
+  try {
+    const ref = await octokit.request(
+      "GET /repos/{owner}/{repo}/git/ref/{ref}",
+      { owner, repo, ref: `heads/${branch}` }
+    );
+    return ref.data.object.sha;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Uploads the blobs of collected files that are not inlined, a few at a time.
+// Each is streamed from disk into the request body rather than read whole.
+// `uploaded` maps local to remote SHAs and is filled in as blobs are sent.
+async function uploadBlobs(octokit, owner, repo, files, uploaded) {
+  const bySha = new Map();
+  for (const f of files) {
+    if (f.encoding === "base64" && !uploaded.has(gitBlobSha(f))) {
+      bySha.set(gitBlobSha(f), f);
+    }
+  }
+  const pending = [...bySha.values()];
+
+  for (let i = 0; i < pending.length; i += CONCURRENCY) {
+    await Promise.all(
+      pending.slice(i, i + CONCURRENCY).map(async (f) => {
+        const blob = await octokit.request(
+          "POST /repos/{owner}/{repo}/git/blobs",
+          {
+            owner,
+            repo,
+            headers: { "content-type": "application/json" },
+            data: encodeJson({
+              content: new StreamedString(streamBase64(f)),
+              encoding: "base64",
+            }),
+          }
+        );
+        uploaded.set(gitBlobSha(f), blob.data.sha);
+      })
+    );
+  }
+}
+
+// Turns collected files into tree entries. Text files are inlined; files read
+// as base64 are uploaded through the blobs API first and referenced by SHA.
+// Submodules become commit entries. Pass the same `uploaded` map across calls
+// to skip blobs already sent.
+export async function buildTree(
+  octokit,
+  owner,
+  repo,
+  files,
+  uploaded = new Map()
+) {
+  await uploadBlobs(octokit, owner, repo, files, uploaded);
+
+  return files.map((f) => {
+    const mode = f.mode || FILE_MODES.file;
+
+    if (mode === FILE_MODES.submodule) {
+      return { path: f.path, sha: f.sha, mode, type: "commit" };
+    }
+    if (f.encoding === "base64") {
+      return {
+        path: f.path,
+        sha: uploaded.get(gitBlobSha(f)),
+        mode,
+        type: "blob",
+      };
+    }
+    return { path: f.path, content: f.content, mode, type: "blob" };
+  });
+}
+
+// Lists the blobs and submodules of a commit's tree as a path -> { sha, mode }
+// map.
+async function getCommitBlobs(octokit, owner, repo, commitSha) {
+  const commit = await octokit.request(
+    "GET /repos/{owner}/{repo}/git/commits/{commit_sha}",
+    { owner, repo, commit_sha: commitSha }
+  );
+  const remoteTree = await octokit.request(
+    "GET /repos/{owner}/{repo}/git/trees/{tree_sha}",
+    { owner, repo, tree_sha: commit.data.tree.sha, recursive: "1" }
+  );
+
+  if (remoteTree.data.truncated) {
+    throw new Error(`Tree of ${owner}/${repo}@${commitSha} is too large to sync`);
+  }
+
+  const blobs = new Map();
+  for (const entry of remoteTree.data.tree) {
+    if (entry.type === "blob" || entry.type === "commit") {
+      blobs.set(entry.path, { sha: entry.sha, mode: entry.mode });
+    }
+  }
+
+  return { treeSha: commit.data.tree.sha, blobs };
+}
+
+// Opens a pull request from `head` into `base`, or updates the title and body
+// of the one already open for that branch.
+export async function upsertPullRequest(
+  octokit,
+  { owner, repo, head, base, title, body }
+) {
+  const existing = await octokit.request("GET /repos/{owner}/{repo}/pulls", {
+    owner,
+    repo,
+    head: `${owner}:${head}`,
+    base,
+    state: "open",
+  });
+
+  if (existing.data.length) {
+    const updated = await octokit.request(
+      "PATCH /repos/{owner}/{repo}/pulls/{pull_number}",
+      { owner, repo, pull_number: existing.data[0].number, title, body }
+    );
+    return {
+      number: updated.data.number,
+      url: updated.data.html_url,
+      created: false,
+    };
+  }
+
+  const created = await octokit.request("POST /repos/{owner}/{repo}/pulls", {
+    owner,
+    repo,
+    head,
+    base,
+    title,
+    body,
+  });
+  return {
+    number: created.data.number,
+    url: created.data.html_url,
+    created: true,
+  };
+}
+
+// What the ref endpoints answer (422) when a ref update is not a
+// fast-forward or the ref was created meanwhile. Other failures, like an
+// invalid commit or an empty repository (409), are not races.
+const REF_CONFLICT_MESSAGES = [
+  "update is not a fast forward",
+  "reference already exists",
+];
+
+function isRefConflict(error) {
+  const data = error.response && error.response.data;
+  const text = String((data && data.message) || error.message).toLowerCase();
+  return (
+    error.status === 422 && REF_CONFLICT_MESSAGES.some((m) => text.includes(m))
+  );
+}
+
+// Provider (see providers.js) for one GitHub repository, built on the git
+// data API: blobs and trees are written first, then a commit, then the ref is
+// moved without forcing.
+export function createGithubProvider(octokit, { owner, repo, token }) {
+  // Blobs already uploaded (local sha -> remote sha) and the tree of each
+  // listed commit, kept across rebuilds of the same push
+  const uploaded = new Map();
+  const commitTrees = new Map();
+
+  async function updateRef(branch, sha, create) {
+    try {
+      if (create) {
+        await octokit.request("POST /repos/{owner}/{repo}/git/refs", {
+          owner,
+          repo,
+          ref: `refs/heads/${branch}`,
+          sha,
+        });
+      } else {
+        await octokit.request("PATCH /repos/{owner}/{repo}/git/refs/{ref}", {
+          owner,
+          repo,
+          ref: `heads/${branch}`,
+          sha,
+          force: false,
+        });
+      }
+    } catch (error) {
+      if (isRefConflict(error)) {
+        throw new RefConflictError(`${owner}/${repo}@${branch} has moved`);
+      }
+      throw error;
+    }
+  }
+
+  async function listFiles(commitSha) {
+    const { treeSha, blobs } = await getCommitBlobs(
+      octokit,
+      owner,
+      repo,
+      commitSha
+    );
+    commitTrees.set(commitSha, treeSha);
+    return blobs;
+  }
+
+  return {
+    name: "github",
+    owner,
+    repo,
+
+    async ensureRepository(options) {
+      const { data, created } = await ensureRepository(octokit, {
+        ...options,
+        owner,
+        repo,
+      });
+      return {
+        data: {
+          url: `https://github.com/${owner}/${repo}`,
+          defaultBranch: data.default_branch,
+          visibility: data.visibility || (data.private ? "private" : "public"),
+        },
+        created,
+      };
+    },
+
+    async getBranchHead(branch) {
+      return getBranchSha(octokit, owner, repo, branch);
+    },
+
+    listFiles,
+
+    // Without `replace` the tree is built on top of the parent's tree, so
+    // only changed and deleted paths have to be sent.
+    async commit({
+      branch,
+      branchExists,
+      parentSha,
+      files,
+      deleted,
+      replace,
+      message,
+      onStage = async () => {},
+    }) {
+      const tree = await buildTree(octokit, owner, repo, files, uploaded);
+      for (const deletedPath of deleted) {
+        tree.push({
+          path: deletedPath,
+          mode: FILE_MODES.file,
+          type: "blob",
+          sha: null,
+        });
+      }
+
+      let baseTree;
+      if (!replace && parentSha) {
+        if (!commitTrees.has(parentSha)) {
+          await listFiles(parentSha);
+        }
+        baseTree = commitTrees.get(parentSha);
+      }
+
+      const responsetreesha = await octokit.request(
+        "POST /repos/{owner}/{repo}/git/trees",
+        { owner, repo, tree, base_tree: baseTree }
+      );
+
+      await onStage("committing");
+      const responsecommitsha = await octokit.request(
+        "POST /repos/{owner}/{repo}/git/commits",
+        {
+          owner,
+          repo,
+          message,
+          tree: responsetreesha.data.sha,
+          parents: parentSha ? [parentSha] : [],
+        }
+      );
+
+      await onStage("updating-ref");
+      await updateRef(branch, responsecommitsha.data.sha, !branchExists);
+      return responsecommitsha.data.sha;
+    },
+
+    async createBranch(branch, sha) {
+      await updateRef(branch, sha, true);
+    },
+
+    gitRemote() {
+      return {
+        url: `https://github.com/${owner}/${repo}.git`,
+        auth: `x-access-token:${token}`,
+      };
+    },
+
+    async openMergeRequest({ head, base, title, body }) {
+      return upsertPullRequest(octokit, {
+        owner,
+        repo,
+        head,
+        base,
+        title,
+        body,
+      });
+    },
+
+    close() {},
+  };
+}
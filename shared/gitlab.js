@@ -0,0 +1,321 @@
+import { FILE_MODES, streamBase64 } from "./files.js";
+import { diffFiles, RefConflictError } from "./push.js";
+import { createRestClient, StreamedString } from "./rest.js";
+
+// Provider (see providers.js) for one GitLab project, on gitlab.com or a
+// self-hosted instance. GitLab has no git data API, so a commit is written
+// through the commits API as one atomic list of file actions on the branch.
+// That API cannot create symlinks or submodules; they are skipped with a
+// warning.
+
+const PER_PAGE = 100;
+
+// GitLab reports actions that no longer fit the branch with a 400 and one of
+// these messages
+const CONFLICT_MESSAGES = [
+  "already exists",
+  "doesn't exist",
+  "does not exist",
+  "changed since",
+  "has changed",
+];
+
+function isConflict(error) {
+  const text = String(error.message).toLowerCase();
+  return (
+    error.status === 409 ||
+    (error.status === 400 && CONFLICT_MESSAGES.some((m) => text.includes(m)))
+  );
+}
+
+function toAction(action, f) {
+  return {
+    action,
+    file_path: f.path,
+    content:
+      f.encoding === "base64"
+        ? new StreamedString(streamBase64(f))
+        : f.content,
+    encoding: f.encoding === "base64" ? "base64" : "text",
+  };
+}
+
+export function createGitlabProvider({ baseUrl, token, owner, repo }) {
+  const request = createRestClient({
+    baseUrl: `${baseUrl.replace(/\/+$/, "")}/api/v4`,
+    headers: { "private-token": token },
+  });
+  const project = `${owner}/${repo}`;
+
+  async function getProject() {
+    try {
+      const response = await request("GET", "/projects/{project}", {
+        params: { project },
+      });
+      return response.data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function listFiles(commitSha) {
+    const files = new Map();
+
+    for (let page = 1; page; ) {
+      const response = await request(
+        "GET",
+        "/projects/{project}/repository/tree",
+        {
+          params: { project },
+          query: {
+            ref: commitSha,
+            recursive: true,
+            per_page: PER_PAGE,
+            page,
+          },
+        }
+      );
+      for (const entry of response.data) {
+        if (entry.type === "blob" || entry.type === "commit") {
+          files.set(entry.path, { sha: entry.id, mode: entry.mode });
+        }
+      }
+      page = Number(response.headers["x-next-page"]) || 0;
+    }
+
+    return files;
+  }
+
+  async function getBranchHead(branch) {
+    try {
+      const response = await request(
+        "GET",
+        "/projects/{project}/repository/branches/{branch}",
+        { params: { project, branch } }
+      );
+      return response.data.commit.id;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function createBranch(branch, sha) {
+    try {
+      await request("POST", "/projects/{project}/repository/branches", {
+        params: { project },
+        query: { branch, ref: sha },
+      });
+    } catch (error) {
+      if (isConflict(error)) {
+        throw new RefConflictError(`${project}@${branch} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: "gitlab",
+    owner,
+    repo,
+
+    // Projects are created in the owner's namespace (a user or a group).
+    // Repository templates are not supported.
+    async ensureRepository({
+      create = true,
+      isPrivate = true,
+      visibility,
+      description,
+      topics,
+      template,
+      autoInit = true,
+    }) {
+      let data = await getProject();
+      const created = !data;
+
+      if (!data) {
+        if (!create) {
+          throw new Error(`Project ${project} does not exist`);
+        }
+        if (template) {
+          throw new Error("Repository templates are not supported on GitLab");
+        }
+
+        const namespace = await request("GET", "/namespaces/{owner}", {
+          params: { owner },
+        });
+        const access =
+          visibility || (isPrivate !== false ? "private" : "public");
+        const response = await request("POST", "/projects", {
+          body: {
+            name: repo,
+            path: repo,
+            namespace_id: namespace.data.id,
+            visibility: access,
+            description,
+            topics: topics && topics.map((t) => t.toLowerCase()),
+            initialize_with_readme: autoInit,
+          },
+        });
+        data = response.data;
+      }
+
+      return {
+        data: {
+          url: data.web_url,
+          defaultBranch: data.default_branch || "main",
+          visibility: data.visibility,
+        },
+        created,
+      };
+    },
+
+    getBranchHead,
+    listFiles,
+
+    // File actions need to know what already exists, so the parent's tree is
+    // listed again here. The commits API applies them to whatever the branch
+    // head is, so the head is compared with `parentSha` right before
+    // committing and a moved branch rebuilds the commit. A push that lands
+    // in between is caught when its changes conflict with the actions
+    // (creating a file that now exists, say).
+    async commit({
+      branch,
+      branchExists,
+      parentSha,
+      files,
+      deleted,
+      replace,
+      message,
+      onStage = async () => {},
+    }) {
+      const remote = parentSha ? await listFiles(parentSha) : new Map();
+      const diff = diffFiles(remote, files);
+      const actions = [];
+
+      for (const f of [...diff.added, ...diff.modified]) {
+        if (f.mode === FILE_MODES.symlink || f.mode === FILE_MODES.submodule) {
+          console.warn(`Skipping ${f.path}: GitLab commits cannot hold links`);
+          continue;
+        }
+
+        const existing = remote.get(f.path);
+        actions.push(toAction(existing ? "update" : "create", f));
+        if (
+          (f.mode || FILE_MODES.file) !==
+          (existing ? existing.mode : FILE_MODES.file)
+        ) {
+          actions.push({
+            action: "chmod",
+            file_path: f.path,
+            execute_filemode: f.mode === FILE_MODES.executable,
+          });
+        }
+      }
+
+      for (const deletedPath of replace ? diff.deleted : deleted) {
+        actions.push({ action: "delete", file_path: deletedPath });
+      }
+
+      if (!actions.length) {
+        if (!branchExists) {
+          await createBranch(branch, parentSha);
+        }
+        return parentSha;
+      }
+
+      await onStage("committing");
+      const head = await getBranchHead(branch);
+      if (head !== (branchExists ? parentSha : null)) {
+        throw new RefConflictError(`${project}@${branch} has moved`);
+      }
+      try {
+        const response = await request(
+          "POST",
+          "/projects/{project}/repository/commits",
+          {
+            params: { project },
+            body: {
+              branch,
+              commit_message: message,
+              actions,
+              start_sha: !branchExists && parentSha ? parentSha : undefined,
+            },
+          }
+        );
+        return response.data.id;
+      } catch (error) {
+        if (isConflict(error)) {
+          throw new RefConflictError(`${project}@${branch} has moved`);
+        }
+        throw error;
+      }
+    },
+
+    createBranch,
+
+    gitRemote() {
+      return {
+        url: `${baseUrl.replace(/\/+$/, "")}/${project}.git`,
+        auth: `oauth2:${token}`,
+      };
+    },
+
+    async openMergeRequest({ head, base, title, body }) {
+      const existing = await request(
+        "GET",
+        "/projects/{project}/merge_requests",
+        {
+          params: { project },
+          query: {
+            state: "opened",
+            source_branch: head,
+            target_branch: base,
+          },
+        }
+      );
+
+      if (existing.data.length) {
+        const updated = await request(
+          "PUT",
+          "/projects/{project}/merge_requests/{iid}",
+          {
+            params: { project, iid: existing.data[0].iid },
+            body: { title, description: body },
+          }
+        );
+        return {
+          number: updated.data.iid,
+          url: updated.data.web_url,
+          created: false,
+        };
+      }
+
+      const created = await request(
+        "POST",
+        "/projects/{project}/merge_requests",
+        {
+          params: { project },
+          body: {
+            source_branch: head,
+            target_branch: base,
+            title,
+            description: body,
+          },
+        }
+      );
+      return {
+        number: created.data.iid,
+        url: created.data.web_url,
+        created: true,
+      };
+    },
+
+    close() {},
+  };
+}
@@ -0,0 +1,298 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { simpleGit } from "simple-git";
+import { FILE_MODES } from "./files.js";
+import { RefConflictError } from "./push.js";
+
+// Provider (see providers.js) for any git remote, driven through the git CLI
+// in a scratch repository: the parent commit is fetched shallowly, the new
+// tree is staged there, and the commit is pushed without forcing. Remote
+// credentials come from the URL or git's own credential helpers. There is no
+// API to create repositories or pull requests, so only local (file://)
+// remotes can be created, and pull requests are not supported.
+
+// Owner and repo end up in the remote URL (possibly a local path)
+const SAFE_NAME = /^(?!\.\.?$)[A-Za-z0-9._-]+$/;
+const BATCH_SIZE = 500;
+
+const REJECTED = /\[rejected\]|non-fast-forward|fetch first/;
+
+function isLocalRemote(url) {
+  return url.startsWith("file://") || path.isAbsolute(url);
+}
+
+// The remote URL without credentials, for results and logs
+function displayUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = "";
+    parsed.password = "";
+    return parsed.toString();
+  } catch (e) {
+    return url;
+  }
+}
+
+function batches(list) {
+  const result = [];
+  for (let i = 0; i < list.length; i += BATCH_SIZE) {
+    result.push(list.slice(i, i + BATCH_SIZE));
+  }
+  return result;
+}
+
+// `url` may contain {owner} and {repo} placeholders, e.g.
+// "https://git.example.com/{owner}/{repo}.git" or "/srv/git/{repo}.git".
+export function createGitRemoteProvider({ url, owner, repo }) {
+  if (!SAFE_NAME.test(owner) || !SAFE_NAME.test(repo)) {
+    throw new Error(`Invalid repository name ${owner}/${repo}`);
+  }
+
+  const remote = url.replace(/\{owner\}/g, owner).replace(/\{repo\}/g, repo);
+  // Commits already fetched, and the branch each head was read from
+  const fetched = new Set();
+  const heads = new Map();
+  let workDir = null;
+
+  async function git() {
+    if (!workDir) {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), "gitremote-"));
+      const scratch = simpleGit(workDir);
+      await scratch.raw(["init", "--quiet"]);
+      await scratch.addConfig("core.autocrlf", "false");
+      await scratch.addConfig(
+        "user.name",
+        process.env.GIT_USER_NAME || "Tree Pusher"
+      );
+      await scratch.addConfig(
+        "user.email",
+        process.env.GIT_USER_EMAIL || "tree-pusher@localhost"
+      );
+    }
+    return simpleGit(workDir);
+  }
+
+  async function ensureFetched(sha) {
+    if (fetched.has(sha)) {
+      return;
+    }
+
+    const branch = heads.get(sha);
+    await (
+      await git()
+    ).raw([
+      "fetch",
+      "--quiet",
+      "--depth=1",
+      remote,
+      branch ? `+refs/heads/${branch}:refs/remotes/origin/${branch}` : sha,
+    ]);
+    fetched.add(sha);
+  }
+
+  async function listFiles(commitSha) {
+    await ensureFetched(commitSha);
+    const output = await (
+      await git()
+    ).raw(["ls-tree", "-r", "-z", "--full-tree", commitSha]);
+
+    const files = new Map();
+    for (const line of output.split("\0")) {
+      if (!line) {
+        continue;
+      }
+      const [info, filePath] = line.split("\t");
+      const [mode, type, sha] = info.split(" ");
+      if (type === "blob" || type === "commit") {
+        files.set(filePath, { sha, mode });
+      }
+    }
+    return files;
+  }
+
+  async function push(branch, sha) {
+    try {
+      await (
+        await git()
+      ).raw(["push", "--quiet", remote, `${sha}:refs/heads/${branch}`]);
+    } catch (error) {
+      if (REJECTED.test(error.message)) {
+        throw new RefConflictError(`${displayUrl(remote)}@${branch} has moved`);
+      }
+      throw error;
+    }
+  }
+
+  // Empties the scratch work tree and writes `files` into it. Symlinks are
+  // written last so no file can be written through one.
+  async function writeWorkTree(files) {
+    for (const entry of fs.readdirSync(workDir)) {
+      if (entry !== ".git") {
+        fs.rmSync(path.join(workDir, entry), { recursive: true, force: true });
+      }
+    }
+
+    const ordered = [
+      ...files.filter((f) => f.mode !== FILE_MODES.symlink),
+      ...files.filter((f) => f.mode === FILE_MODES.symlink),
+    ];
+    for (const f of ordered) {
+      if (f.mode === FILE_MODES.submodule) {
+        continue;
+      }
+
+      const target = path.join(workDir, f.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      if (f.mode === FILE_MODES.symlink) {
+        fs.symlinkSync(f.content, target);
+      } else if (f.source) {
+        // Blobs are copied from the source rather than read into memory
+        await fs.promises.copyFile(f.source, target);
+      } else {
+        fs.writeFileSync(
+          target,
+          Buffer.from(f.content, f.encoding === "base64" ? "base64" : "utf-8")
+        );
+        fs.chmodSync(target, f.mode === FILE_MODES.executable ? 0o755 : 0o644);
+      }
+    }
+  }
+
+  return {
+    name: "git",
+    owner,
+    repo,
+
+    // Repositories are always created empty
+    async ensureRepository({ create = true }) {
+      const scratch = await git();
+      let created = false;
+
+      try {
+        await scratch.listRemote([remote]);
+      } catch (error) {
+        if (!create) {
+          throw new Error(`Remote ${displayUrl(remote)} is not reachable`);
+        }
+        if (!isLocalRemote(remote)) {
+          throw new Error(
+            `Remote ${displayUrl(remote)} is not reachable; only local remotes can be created`
+          );
+        }
+
+        const dir = remote.startsWith("file://")
+          ? fileURLToPath(remote)
+          : remote;
+        fs.mkdirSync(dir, { recursive: true });
+        await simpleGit(dir).raw([
+          "init",
+          "--bare",
+          "--quiet",
+          "--initial-branch=main",
+        ]);
+        created = true;
+      }
+
+      const symref = await scratch.listRemote(["--symref", remote, "HEAD"]);
+      const match = /^ref: refs\/heads\/(\S+)\tHEAD/m.exec(symref);
+
+      return {
+        data: {
+          url: displayUrl(remote),
+          defaultBranch: match ? match[1] : "main",
+          visibility: null,
+        },
+        created,
+      };
+    },
+
+    async getBranchHead(branch) {
+      const output = await (
+        await git()
+      ).listRemote([remote, `refs/heads/${branch}`]);
+      const sha = output.split(/\s/)[0] || null;
+      if (sha) {
+        heads.set(sha, branch);
+      }
+      return sha;
+    },
+
+    listFiles,
+
+    // The index starts from the parent's tree (or empty with `replace`);
+    // written files are added on top, deleted paths removed and submodules
+    // registered directly as gitlinks.
+    async commit({
+      branch,
+      parentSha,
+      files,
+      deleted,
+      replace,
+      message,
+      onStage = async () => {},
+    }) {
+      const scratch = await git();
+      if (parentSha) {
+        await ensureFetched(parentSha);
+      }
+
+      await scratch.raw([
+        "read-tree",
+        replace || !parentSha ? "--empty" : parentSha,
+      ]);
+      await writeWorkTree(files);
+      await scratch.raw(["add", "--force", "--ignore-removal", "--", "."]);
+
+      for (const batch of batches(deleted)) {
+        await scratch.raw(["update-index", "--force-remove", "--", ...batch]);
+      }
+
+      const submodules = files.filter((f) => f.mode === FILE_MODES.submodule);
+      for (const batch of batches(submodules)) {
+        await scratch.raw([
+          "update-index",
+          "--add",
+          ...batch.flatMap((f) => [
+            "--cacheinfo",
+            `${FILE_MODES.submodule},${f.sha},${f.path}`,
+          ]),
+        ]);
+      }
+
+      await onStage("committing");
+      const tree = (await scratch.raw(["write-tree"])).trim();
+      const commitSha = (
+        await scratch.raw([
+          "commit-tree",
+          tree,
+          ...(parentSha ? ["-p", parentSha] : []),
+          "-m",
+          message,
+        ])
+      ).trim();
+
+      await onStage("updating-ref");
+      await push(branch, commitSha);
+      fetched.add(commitSha);
+      return commitSha;
+    },
+
+    async createBranch(branch, sha) {
+      await ensureFetched(sha);
+      await push(branch, sha);
+    },
+
+    gitRemote() {
+      return { url: remote, auth: null };
+    },
+
+    close() {
+      if (workDir) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        workDir = null;
+      }
+    },
+  };
+}
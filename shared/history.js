@@ -0,0 +1,331 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pathToFileURL } from "url";
+import { simpleGit } from "simple-git";
+import { pushDirectory } from "./push.js";
+import { findSecrets, SECRET_POLICIES, SecretsFoundError } from "./secrets.js";
+
+// Pushes the history of a source directory that is a git repository itself,
+// instead of a snapshot of its files:
+//   "all"     every local branch, commits as they are
+//   "branch"  one branch (`history.branch`, the checked out one by default),
+//             pushed as `branch` or under its own name
+//   "squash"  the branch's committed files as a single commit, through the
+//             regular snapshot pipeline (so pull requests and sync work)
+// Branches only ever fast-forward; a target whose history has diverged is
+// rejected rather than overwritten.
+//
+// Sources may be uploaded, so git never runs inside them: their objects and
+// branches are copied into a scratch repository first, and every command
+// runs there without hooks. The source's own config, hooks, alternates and
+// attributes are never read.
+export const HISTORY_MODES = ["all", "branch", "squash"];
+
+const PUSH_STATUS = {
+  " ": "updated",
+  "*": "created",
+  "=": "unchanged",
+};
+
+// Options for every git command run on a scratch copy
+const SAFE_CONFIG = ["core.hooksPath=/dev/null", "core.fsmonitor=false"];
+
+function scratchGit(baseDir, config = []) {
+  return simpleGit({ baseDir, config: [...SAFE_CONFIG, ...config] });
+}
+
+// Copies the objects, branches and HEAD of a source's .git directory into a
+// new bare repository. Symlinks and alternates (which could reach other
+// repositories on this machine) are left behind.
+async function copyToScratch(sourceDir) {
+  const gitDir = path.join(sourceDir, ".git");
+  if (!fs.existsSync(gitDir) || !fs.lstatSync(gitDir).isDirectory()) {
+    throw new Error("Source directory is not a git repository");
+  }
+
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+  await scratchGit(scratch).raw(["init", "--bare", "--quiet", "--template="]);
+
+  const copy = (name) => {
+    const from = path.join(gitDir, name);
+    if (fs.existsSync(from)) {
+      fs.cpSync(from, path.join(scratch, name), {
+        recursive: true,
+        filter: (src) =>
+          !fs.lstatSync(src).isSymbolicLink() &&
+          !/[\\/]info[\\/](http-)?alternates$/.test(src),
+      });
+    }
+  };
+  copy("objects");
+  copy("refs/heads");
+  copy("packed-refs");
+
+  // Only a symbolic HEAD is kept; it names the checked out branch. A
+  // detached one reads as the branch "HEAD", which is refused below.
+  const head = fs.existsSync(path.join(gitDir, "HEAD"))
+    ? fs.readFileSync(path.join(gitDir, "HEAD"), "utf-8").trim()
+    : "";
+  if (/^ref: refs\/heads\/[^\s]+$/.test(head)) {
+    fs.writeFileSync(path.join(scratch, "HEAD"), `${head}\n`);
+  } else {
+    fs.writeFileSync(path.join(scratch, "HEAD"), "ref: refs/heads/HEAD\n");
+  }
+
+  return scratch;
+}
+
+// Scans the lines every commit adds, so a secret that was committed and
+// removed later is still found. Findings carry the commit that added them.
+async function scanHistory(source, revisions) {
+  const log = await source.raw([
+    "-c",
+    "core.quotePath=false",
+    "log",
+    "-p",
+    "-U0",
+    "--no-color",
+    "--no-ext-diff",
+    "--no-textconv",
+    "--format=commit %H",
+    ...revisions,
+    "--",
+  ]);
+
+  const findings = [];
+  let commit = null;
+  let filePath = null;
+  let lineNumber = 0;
+  let added = [];
+
+  const flush = () => {
+    if (filePath && added.length) {
+      const content = added.map((a) => a.text).join("\n");
+      for (const f of findSecrets(filePath, content)) {
+        findings.push({
+          path: filePath,
+          line: added[f.line - 1].line,
+          rule: f.rule,
+          commit,
+        });
+      }
+    }
+    added = [];
+  };
+
+  for (const line of log.split("\n")) {
+    const commitMatch = /^commit ([0-9a-f]{40})$/.exec(line);
+    const fileMatch = /^\+\+\+ (?:b\/(.*)|\/dev\/null)$/.exec(line);
+    const hunkMatch = /^@@ -\S+ \+(\d+)(?:,\d+)? @@/.exec(line);
+
+    if (commitMatch) {
+      flush();
+      commit = commitMatch[1];
+      filePath = null;
+    } else if (fileMatch) {
+      flush();
+      filePath = fileMatch[1] || null;
+    } else if (hunkMatch) {
+      lineNumber = Number(hunkMatch[1]);
+    } else if (line.startsWith("+") && filePath) {
+      added.push({ text: line.slice(1), line: lineNumber++ });
+    }
+  }
+  flush();
+
+  return findings;
+}
+
+// Parses `git push --porcelain` lines ("<flag>\t<from>:<to>\t<summary>")
+function parsePushOutput(output) {
+  const refs = [];
+  for (const line of output.split("\n")) {
+    const match = /^(.)\t[^:]+:refs\/heads\/(\S+)\t(\S*)/.exec(line);
+    if (match) {
+      // Fast-forwards are summarized as <old>..<new> (abbreviated)
+      const range = /^([0-9a-f]+)\.\./.exec(match[3]);
+      refs.push({
+        branch: match[2],
+        status: PUSH_STATUS[match[1]] || "other",
+        previousSha: range ? range[1] : null,
+      });
+    }
+  }
+  return refs;
+}
+
+async function pushSquashed(provider, source, sourceBranch, options) {
+  const { scratch } = options;
+  const head = (await source.revparse([`refs/heads/${sourceBranch}`])).trim();
+  const count = Number(
+    (await source.raw(["rev-list", "--count", head])).trim()
+  );
+
+  // A shallow clone holds exactly the branch's committed files
+  const checkout = fs.mkdtempSync(path.join(os.tmpdir(), "squash-"));
+  try {
+    await scratchGit(os.tmpdir()).clone(
+      pathToFileURL(scratch).href,
+      checkout,
+      ["--quiet", "--depth=1", "--template=", "--branch", sourceBranch]
+    );
+
+    const result = await pushDirectory(provider, {
+      ...options,
+      sourceDir: checkout,
+      message:
+        options.message ||
+        `Squash ${count} commits of ${sourceBranch} (${head.slice(0, 7)})`,
+    });
+    return {
+      ...result,
+      history: { mode: "squash", sourceBranch, sourceCommit: head, count },
+    };
+  } finally {
+    fs.rmSync(checkout, { recursive: true, force: true });
+  }
+}
+
+// Takes the same options as pushDirectory plus `history` ({ mode, branch }).
+export async function pushHistory(provider, options) {
+  const { sourceDir, history = {} } = options;
+  const mode = history.mode || "all";
+
+  if (!HISTORY_MODES.includes(mode)) {
+    throw new Error(`Unknown history mode: ${mode}`);
+  }
+
+  const scratch = await copyToScratch(sourceDir);
+  try {
+    return await pushScratch(provider, scratch, { ...options, scratch, mode });
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+// pushHistory on the scratch copy of the source
+async function pushScratch(provider, scratch, options) {
+  const {
+    history = {},
+    branch,
+    pullRequest = false,
+    isPrivate = true,
+    createRepo = true,
+    repository = {},
+    secretPolicy = "block",
+    onStage = async () => {},
+    mode,
+  } = options;
+
+  const source = scratchGit(scratch);
+  const sourceBranch =
+    history.branch ||
+    (await source.raw(["symbolic-ref", "--short", "HEAD"])).trim();
+
+  if (sourceBranch === "HEAD") {
+    throw new Error("Source HEAD is detached; name the branch to push");
+  }
+  await source.revparse(["--verify", `refs/heads/${sourceBranch}`]);
+
+  if (mode === "squash") {
+    return pushSquashed(provider, source, sourceBranch, options);
+  }
+
+  if (options.mappings && options.mappings.length) {
+    throw new Error("Path mappings are only supported when squashing history");
+  }
+
+  if (pullRequest) {
+    throw new Error("Pull requests are only supported when squashing history");
+  }
+  if (!SECRET_POLICIES.includes(secretPolicy)) {
+    throw new Error(`Unknown secret policy: ${secretPolicy}`);
+  }
+  if (secretPolicy === "redact") {
+    throw new Error(
+      "Secrets cannot be redacted from existing history; squash it instead"
+    );
+  }
+
+  await onStage("scanning-secrets");
+  const findings = await scanHistory(
+    source,
+    mode === "all" ? ["--branches"] : [`refs/heads/${sourceBranch}`]
+  );
+  if (findings.length && secretPolicy === "block") {
+    throw new SecretsFoundError(findings);
+  }
+
+  // Templates and initial commits would give a new repository a history of
+  // its own that the source cannot fast-forward onto
+  await onStage("provisioning");
+  const provisioned = await provider.ensureRepository({
+    ...repository,
+    template: undefined,
+    licenseTemplate: undefined,
+    gitignoreTemplate: undefined,
+    autoInit: false,
+    create: createRepo,
+    isPrivate,
+  });
+
+  const targetBranch = mode === "all" ? sourceBranch : branch || sourceBranch;
+  const refspecs =
+    mode === "all"
+      ? ["refs/heads/*:refs/heads/*"]
+      : [`refs/heads/${sourceBranch}:refs/heads/${targetBranch}`];
+
+  // Credentials go in a header rather than the URL, so git never echoes them
+  const { url, auth } = provider.gitRemote();
+  const pusher = scratchGit(
+    scratch,
+    auth
+      ? [
+          `http.extraHeader=Authorization: Basic ${Buffer.from(auth).toString(
+            "base64"
+          )}`,
+        ]
+      : []
+  );
+
+  await onStage("pushing-history");
+  let output;
+  try {
+    output = await pusher.raw(["push", "--porcelain", url, ...refspecs]);
+  } catch (error) {
+    const rejected = parsePushOutput(error.message).filter(
+      (r) => r.status === "other"
+    );
+    if (rejected.length) {
+      throw new Error(
+        `Target history has diverged, rejected: ${rejected
+          .map((r) => r.branch)
+          .join(", ")}`
+      );
+    }
+    throw error;
+  }
+
+  const refs = parsePushOutput(output);
+  for (const ref of refs) {
+    const sourceRef = mode === "all" ? ref.branch : sourceBranch;
+    ref.commitSha = (await source.revparse([`refs/heads/${sourceRef}`])).trim();
+  }
+
+  return {
+    provider: provider.name,
+    repoUrl: provisioned.data.url,
+    repoCreated: provisioned.created,
+    defaultBranch: provisioned.data.defaultBranch,
+    visibility: provisioned.data.visibility,
+    branch: targetBranch,
+    commitSha: (await source.revparse([`refs/heads/${sourceBranch}`])).trim(),
+    fileCount: null,
+    changes: null,
+    history: { mode, sourceBranch, refs },
+    secretFindings: findings,
+    pullRequest: null,
+    skipped: refs.every((r) => r.status === "unchanged"),
+  };
+}
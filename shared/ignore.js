@@ -0,0 +1,228 @@
+import fs from "fs";
+import path from "path";
+
+// Ignore files read from every directory of a source, in precedence order
+export const IGNORE_FILES = [".gitignore", ".pushignore"];
+
+// Applied before any ignore file, so a project can re-include any of these
+// with a negation (e.g. "!dist/") or a request's include list.
+export const DEFAULT_IGNORE = [
+  "node_modules/", // Dependencies - too large and not needed
+  ".next/", // Next.js build output
+  "dist/", // Build output
+  "build/", // Build output
+  ".svn/", // SVN
+  ".hg/", // Mercurial
+  "__pycache__/", // Python
+  ".pytest_cache/", // Python testing
+  ".coverage/", // Coverage reports
+  ".nyc_output/", // Coverage reports
+  "coverage/", // Coverage reports
+  "tmp/", // Temporary files
+  "temp/", // Temporary files
+  ".vscode/", // VSCode settings
+  ".idea/", // IntelliJ settings
+  ".DS_Store", // macOS system file
+  "Thumbs.db", // Windows system file
+  "desktop.ini", // Windows system file
+  "*.log", // Log files (usually not needed in source)
+  "!*changelog*.log",
+  "*.tmp", // Temporary files
+  "*.temp", // Temporary files
+  ".env", // Environment files with secrets (keep .env.example)
+  ".env.local", // Local environment files
+  ".env.production", // Production environment files
+  ".env.development", // Development environment files
+];
+
+function escapeRegex(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+// Compiles one gitignore line into a rule, or null for blanks and comments.
+// Rules only match the path itself; excluded parents are handled by the walker
+// never descending into them, which is also why a negation cannot re-include
+// a file whose directory is ignored.
+export function compilePattern(line, source) {
+  let pattern = line.replace(/(?<!\\)\s+$/, "");
+  if (!pattern || pattern.startsWith("#")) {
+    return null;
+  }
+
+  let negative = false;
+  if (pattern.startsWith("!")) {
+    negative = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) {
+    pattern = pattern.slice(1);
+  }
+
+  let dirOnly = false;
+  if (pattern.endsWith("/")) {
+    dirOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+
+  // A slash anywhere but the end anchors the pattern to its ignore file
+  const anchored = pattern.includes("/");
+  if (pattern.startsWith("/")) {
+    pattern = pattern.slice(1);
+  }
+  if (!pattern) {
+    return null;
+  }
+
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+
+    if (c === "*" && pattern[i + 1] === "*") {
+      const atStart = i === 0 || pattern[i - 1] === "/";
+      if (atStart && pattern[i + 2] === "/") {
+        re += "(?:.*/)?"; // "**/" matches zero or more directories
+        i += 2;
+        continue;
+      }
+      if (atStart && i + 2 === pattern.length) {
+        re += ".*"; // trailing "/**" matches everything inside
+        i += 1;
+        continue;
+      }
+      re += "[^/]*";
+      i += 1;
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "[") {
+      const end = pattern.indexOf("]", i + 2);
+      if (end === -1) {
+        re += "\\[";
+        continue;
+      }
+      let range = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+      if (range.startsWith("!")) {
+        range = `^${range.slice(1)}`;
+      }
+      re += `[${range}]`;
+      i = end;
+    } else if (c === "\\" && i + 1 < pattern.length) {
+      i += 1;
+      re += escapeRegex(pattern[i]);
+    } else {
+      re += escapeRegex(c);
+    }
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(anchored ? `^${re}$` : `^(?:.*/)?${re}$`);
+  } catch (error) {
+    // Like git, a pattern with an invalid range such as [z-a] matches nothing
+    return null;
+  }
+
+  return {
+    pattern: line.trim(),
+    source,
+    negative,
+    dirOnly,
+    regex,
+  };
+}
+
+function compileLayer(base, source, lines) {
+  return {
+    base,
+    rules: lines.map((line) => compilePattern(line, source)).filter(Boolean),
+  };
+}
+
+function toPatterns(value) {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.filter(Boolean);
+  }
+  // Comma or newline separated, as sent through query strings and form fields
+  return String(value)
+    .split(/[\n,]/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
+
+// Builds the root rule set for a walk. `ignore` patterns are added on top of
+// everything found in the source; `include` patterns force paths back in.
+export function createIgnoreRules({
+  ignore: extraPatterns,
+  include,
+  useDefaults = true,
+} = {}) {
+  const layers = [];
+
+  if (useDefaults) {
+    layers.push(compileLayer("", "default", DEFAULT_IGNORE));
+  }
+
+  const overrides = [
+    ...toPatterns(extraPatterns),
+    ...toPatterns(include).map((p) => `!${p}`),
+  ];
+
+  return {
+    layers,
+    overrides: overrides.length
+      ? compileLayer("", "request", overrides)
+      : null,
+  };
+}
+
+// Returns the rules for a directory by adding its own ignore files, whose
+// patterns are relative to that directory and win over those of its parents.
+export function enterDirectory(rules, dir, relativeDir) {
+  const layers = [...rules.layers];
+
+  for (const name of IGNORE_FILES) {
+    const filePath = path.join(dir, name);
+    if (fs.existsSync(filePath)) {
+      layers.push(
+        compileLayer(
+          relativeDir,
+          relativeDir ? `${relativeDir}/${name}` : name,
+          fs.readFileSync(filePath, "utf-8").split(/\r?\n/)
+        )
+      );
+    }
+  }
+
+  return layers.length === rules.layers.length ? rules : { ...rules, layers };
+}
+
+// Checks a path relative to the source root. The last layer with a matching
+// pattern decides, like git does across nested .gitignore files. Returns the
+// deciding rule when the path is ignored, or null.
+export function matchIgnore(rules, relativePath, isDirectory) {
+  if (relativePath.split("/").includes(".git")) {
+    return { source: "builtin", pattern: ".git" };
+  }
+
+  let match = null;
+  const layers = rules.overrides
+    ? [...rules.layers, rules.overrides]
+    : rules.layers;
+
+  for (const layer of layers) {
+    const rel = layer.base
+      ? relativePath.slice(layer.base.length + 1)
+      : relativePath;
+
+    for (const rule of layer.rules) {
+      if ((!rule.dirOnly || isDirectory) && rule.regex.test(rel)) {
+        match = rule.negative ? null : rule;
+      }
+    }
+  }
+
+  return match;
+}
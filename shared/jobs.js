@@ -0,0 +1,246 @@
+import { auditJob } from "./audit.js";
+import prisma from "./prisma.js";
+import { reserveJob } from "./quotas.js";
+
+export const JOB_STATUSES = [
+  "queued",
+  "running",
+  "succeeded",
+  "failed",
+  "dead_lettered",
+];
+
+function describeError(error) {
+  return {
+    name: error.name,
+    status: error.status,
+    response: error.response ? error.response.data : undefined,
+    findings: error.findings,
+  };
+}
+
+// `message` is the queue message body (without jobId), kept for replays.
+// `requestedBy` is the audit actor (see audit.js) when it is not `username`.
+// `client` is a transaction when the job is created in one (see reserveJob).
+export async function createJob(
+  {
+    username,
+    owner,
+    repoName,
+    branch,
+    sourceDir,
+    callbackUrl,
+    requestedBy,
+    message,
+  },
+  client = prisma
+) {
+  return client.pushJob.create({
+    data: {
+      username,
+      owner,
+      repo_name: repoName,
+      branch: branch || "main",
+      source_dir: sourceDir,
+      callback_url: callbackUrl,
+      requested_by: requestedBy,
+      message,
+    },
+  });
+}
+
+// Runs a synchronous push (`push` resolves to pushDirectory's result) as a
+// job, so it is listed, counted towards quotas and audited like a queued one.
+// The job is only created when `principal` is within the user's quotas.
+// `push` is called with an onStage callback that records each stage on the
+// job, as queued pushes do.
+export async function trackPush(
+  { principal, username, owner, repoName, branch, sourceDir, requestedBy },
+  push
+) {
+  const job = await reserveJob(principal, username, (client) =>
+    createJob(
+      {
+        username,
+        owner,
+        repoName,
+        branch,
+        sourceDir,
+        requestedBy,
+        message: null,
+      },
+      client
+    )
+  );
+  await markJobRunning(job.id);
+
+  let result;
+  try {
+    result = await push((stage) => updateJobStage(job.id, stage));
+  } catch (error) {
+    await auditJob(job.id, { error }).catch((e) =>
+      console.error("Error writing audit log:", e)
+    );
+    await failJob(job.id, error).catch(() => {});
+    throw error;
+  }
+
+  await completeJob(job.id, result);
+  await auditJob(job.id, { result }).catch((e) =>
+    console.error("Error writing audit log:", e)
+  );
+  return { ...result, jobId: job.id };
+}
+
+export async function getJob(id) {
+  return prisma.pushJob.findUnique({ where: { id } });
+}
+
+export async function listJobs(username, { status, limit = 20 } = {}) {
+  return prisma.pushJob.findMany({
+    where: { username, ...(status ? { status } : {}) },
+    orderBy: { created_at: "desc" },
+    take: Math.min(Math.max(Number(limit) || 20, 1), 100),
+  });
+}
+
+export async function markJobRunning(id, attempt = 1) {
+  return prisma.pushJob.update({
+    where: { id },
+    data: {
+      status: "running",
+      stage: "starting",
+      attempts: attempt,
+      next_attempt_at: null,
+      started_at: new Date(),
+      error: null,
+      error_detail: null,
+    },
+  });
+}
+
+export async function updateJobStage(id, stage) {
+  return prisma.pushJob.update({ where: { id }, data: { stage } });
+}
+
+export async function completeJob(id, result) {
+  return prisma.pushJob.update({
+    where: { id },
+    data: {
+      status: "succeeded",
+      stage: result.skipped ? "unchanged" : "done",
+      branch: result.branch,
+      file_count: result.fileCount,
+      added_count: result.changes ? result.changes.added.length : null,
+      modified_count: result.changes ? result.changes.modified.length : null,
+      deleted_count: result.changes ? result.changes.deleted.length : null,
+      commit_sha: result.commitSha,
+      repo_url: result.repoUrl,
+      pull_request_url: result.pullRequest ? result.pullRequest.url : null,
+      secret_findings: result.secretFindings.length
+        ? result.secretFindings
+        : null,
+      finished_at: new Date(),
+    },
+  });
+}
+
+export async function failJob(id, error) {
+  return prisma.pushJob.update({
+    where: { id },
+    data: {
+      status: "failed",
+      error: error.message,
+      error_detail: describeError(error),
+      finished_at: new Date(),
+    },
+  });
+}
+
+export async function scheduleJobRetry(id, error, nextAttemptAt) {
+  return prisma.pushJob.update({
+    where: { id },
+    data: {
+      status: "queued",
+      stage: "retry-scheduled",
+      next_attempt_at: nextAttemptAt,
+      error: error.message,
+      error_detail: describeError(error),
+    },
+  });
+}
+
+export async function deadLetterJob(id, error, reason) {
+  return prisma.pushJob.update({
+    where: { id },
+    data: {
+      status: "dead_lettered",
+      dead_letter_reason: reason,
+      error: error.message,
+      error_detail: describeError(error),
+      finished_at: new Date(),
+    },
+  });
+}
+
+// Raw message text kept for messages that are not push jobs
+const MAX_RAW_MESSAGE = 10 * 1024;
+
+function pick(...values) {
+  return values.find((v) => typeof v === "string" && v) || "unknown";
+}
+
+// Dead-letters a queue message that is not a valid push job and names no
+// job of its own, so it is listed with the other dead letters instead of
+// being dropped. Whatever identifies the push is taken from the message; the
+// message itself is kept in error_detail, not as one to replay.
+export async function deadLetterMessage(raw, reason) {
+  const data = raw && typeof raw === "object" ? raw : {};
+  const source = data.source || {};
+  const target = data.target || {};
+  const text = typeof raw === "string" ? raw : JSON.stringify(raw) || "";
+
+  return prisma.pushJob.create({
+    data: {
+      username: pick(data.user, data.userName, data.owner),
+      owner: pick(target.owner, data.owner, data.userName),
+      repo_name: pick(target.repo, data.repoName),
+      source_dir: pick(source.dir, data.sourceDir),
+      status: "dead_lettered",
+      stage: "validating",
+      dead_letter_reason: reason,
+      error: reason,
+      error_detail: {
+        name: "InvalidMessage",
+        raw: text.slice(0, MAX_RAW_MESSAGE),
+      },
+      finished_at: new Date(),
+    },
+  });
+}
+
+export async function listDeadLetteredJobs({ limit = 50 } = {}) {
+  return prisma.pushJob.findMany({
+    where: { status: "dead_lettered" },
+    orderBy: { finished_at: "desc" },
+    take: Math.min(Math.max(Number(limit) || 50, 1), 200),
+  });
+}
+
+// Puts a dead-lettered job back into the queued state with a fresh attempt
+// budget; the caller re-sends its stored message.
+export async function requeueJob(id) {
+  return prisma.pushJob.update({
+    where: { id },
+    data: {
+      status: "queued",
+      stage: "replayed",
+      attempts: 0,
+      next_attempt_at: null,
+      dead_letter_reason: null,
+      error: null,
+      error_detail: null,
+      finished_at: null,
+    },
+  });
+}
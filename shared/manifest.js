@@ -0,0 +1,140 @@
+import { FILE_MODES, gitBlobSha, iterateFiles } from "./files.js";
+import { createIgnoreRules } from "./ignore.js";
+import { scopeToMappings } from "./mappings.js";
+import { diffFiles, toChanges } from "./push.js";
+import { SECRET_POLICIES, scanFiles } from "./secrets.js";
+
+function fileSize(f) {
+  if (f.mode === FILE_MODES.submodule) {
+    return 0;
+  }
+  if (f.source) {
+    return f.size;
+  }
+  return Buffer.byteLength(
+    f.content,
+    f.encoding === "base64" ? "base64" : "utf-8"
+  );
+}
+
+// Read-only look at the branch a push would commit on top of: the branch
+// itself, or the base branch when it does not exist yet. Nothing is created.
+async function compareWithTarget(
+  provider,
+  files,
+  { branch, baseBranch, pullRequest, mappings }
+) {
+  let repoInfo;
+  try {
+    repoInfo = (await provider.ensureRepository({ create: false })).data;
+  } catch (error) {
+    // API errors carry a status; a repository that is missing does not
+    if (error.status) {
+      throw error;
+    }
+    return { provider: provider.name, exists: false, changes: null };
+  }
+
+  const base = baseBranch || repoInfo.defaultBranch;
+  branch = branch || (pullRequest ? null : "main");
+
+  let comparedBranch = branch;
+  let headSha = branch && (await provider.getBranchHead(branch));
+  if (!headSha) {
+    comparedBranch = base;
+    headSha = await provider.getBranchHead(base);
+  }
+
+  return {
+    provider: provider.name,
+    exists: true,
+    repoUrl: repoInfo.url,
+    branch,
+    branchExists: !!branch && comparedBranch === branch,
+    comparedBranch: headSha ? comparedBranch : null,
+    headSha,
+    changes: toChanges(
+      diffFiles(
+        headSha
+          ? scopeToMappings(await provider.listFiles(headSha), mappings)
+          : new Map(),
+        files
+      )
+    ),
+  };
+}
+
+// Dry run of pushDirectory: walks the source with the same filters and
+// secret policy and describes what would be pushed, without writing
+// anything. Takes pushDirectory's options; `provider` may be null to skip
+// the comparison with the target branch.
+export async function buildManifest(
+  provider,
+  {
+    sourceDir,
+    branch,
+    baseBranch,
+    pullRequest = false,
+    ignoreOptions,
+    keepEmptyDirs = false,
+    transcode = false,
+    normalizeEol = false,
+    limits = {},
+    mappings,
+    secretPolicy = "block",
+  }
+) {
+  if (!SECRET_POLICIES.includes(secretPolicy)) {
+    throw new Error(`Unknown secret policy: ${secretPolicy}`);
+  }
+
+  const skipped = [];
+  // Blob SHAs are those of the content that would be committed, so redacted
+  // files show their redacted SHA
+  const scan = await scanFiles(
+    iterateFiles(sourceDir, createIgnoreRules(ignoreOptions), {
+      ...limits,
+      keepEmptyDirs,
+      transcode,
+      normalizeEol,
+      mappings,
+      onSkip: (entry) => skipped.push(entry),
+    }),
+    secretPolicy
+  );
+
+  // `reason` says why a file is uploaded as a blob rather than inlined, and
+  // `converted` how its text was changed (encoding, line endings)
+  const files = scan.files.map((f) => ({
+    path: f.path,
+    mode: f.mode || FILE_MODES.file,
+    size: fileSize(f),
+    sha: gitBlobSha(f),
+    upload: f.encoding === "base64" ? "blob" : "inline",
+    reason: f.reason,
+    converted: f.converted,
+  }));
+
+  return {
+    files,
+    skipped,
+    totals: {
+      files: files.length,
+      bytes: files.reduce((sum, f) => sum + f.size, 0),
+      inline: files.filter((f) => f.upload === "inline").length,
+      blobs: files.filter((f) => f.upload === "blob").length,
+      skippedFiles: skipped.filter((s) => s.type === "file").length,
+      skippedDirectories: skipped.filter((s) => s.type === "directory").length,
+    },
+    secretFindings: scan.findings,
+    blocked: scan.findings.length > 0 && secretPolicy === "block",
+    target: provider
+      ? await compareWithTarget(provider, scan.files, {
+          branch,
+          baseBranch,
+          pullRequest,
+          mappings,
+        })
+      : null,
+  };
+}
@@ -0,0 +1,183 @@
+// Path mappings place directories of a source at chosen paths of the target
+// repository. `{ from, to }` pushes the source's `from` directory (relative
+// to the source; "" or "." for all of it) as the repository's `to` directory
+// ("" for its root):
+//   [{ from: "apps/web" }]                          apps/web as the root
+//   [{ from: ".", to: "frontend" }]                 the source under frontend/
+//   [{ from: "apps/web", to: "web" },
+//    { from: "libs/ui", to: "ui" }]                 two directories merged
+//                                                   into one commit
+// A job targets one repository, so a monorepo is split with one job per
+// target, each mapping its own directory. Mapped pushes only change paths
+// under their targets; the rest of the repository is left as it is. Targets
+// may not overlap (be equal or one inside another), so no two mappings can
+// write the same path. Mapped directories are real directories of the
+// source: like the walk, mappings never follow a symlink out of it.
+
+import fs from "fs";
+import path from "path";
+
+export class MappingError extends Error {
+  constructor(errors) {
+    super(
+      `Invalid path mappings: ${errors
+        .map((e) => `${e.field} ${e.message}`)
+        .join("; ")}`
+    );
+    this.name = "MappingError";
+    this.errors = errors;
+  }
+}
+
+function normalizePath(value) {
+  return String(value || "")
+    .replace(/\\/g, "/")
+    .split("/")
+    .filter((segment) => segment && segment !== ".")
+    .join("/");
+}
+
+// Whether `child` is `parent` or a path inside it
+export function isWithin(parent, child) {
+  return parent === "" || child === parent || child.startsWith(`${parent}/`);
+}
+
+// Why `from` cannot be walked in `sourceDir`, or null when it can: it has
+// to be a directory reached without going through a symlink
+function checkSourceDir(sourceDir, from) {
+  let current = sourceDir;
+  for (const segment of from ? from.split("/") : []) {
+    current = path.join(current, segment);
+    let stat;
+    try {
+      stat = fs.lstatSync(current);
+    } catch (error) {
+      return `${from} is not a directory of the source`;
+    }
+    if (stat.isSymbolicLink()) {
+      return `${from} goes through a symlink, which mappings do not follow`;
+    }
+    if (!stat.isDirectory()) {
+      return `${from} is not a directory of the source`;
+    }
+  }
+  return null;
+}
+
+// Normalizes mappings and checks them. Errors are { field, message } with
+// fields as JSON pointers under `base`, like the contract's (contract.js).
+// With `sourceDir` every `from` must also be a directory of that source.
+export function checkMappings(mappings, base = "", sourceDir) {
+  const errors = [];
+  const normalized = mappings.map((mapping, i) => {
+    const from = normalizePath(mapping.from);
+    const to = normalizePath(mapping.to);
+
+    if (from.split("/").includes("..")) {
+      errors.push({
+        field: `${base}/${i}/from`,
+        message: "must stay inside the source directory",
+      });
+    }
+    if (to.split("/").includes("..")) {
+      errors.push({
+        field: `${base}/${i}/to`,
+        message: "must stay inside the repository",
+      });
+    }
+    const sourceError =
+      sourceDir && !from.split("/").includes("..")
+        ? checkSourceDir(sourceDir, from)
+        : null;
+    if (sourceError) {
+      errors.push({ field: `${base}/${i}/from`, message: sourceError });
+    }
+    return { from, to };
+  });
+
+  for (let i = 0; i < normalized.length; i++) {
+    for (let j = 0; j < i; j++) {
+      const a = normalized[j].to;
+      const b = normalized[i].to;
+      if (isWithin(a, b) || isWithin(b, a)) {
+        errors.push({
+          field: `${base}/${i}/to`,
+          message: `overlaps the target of mapping ${j} (${a || "the root"})`,
+        });
+      }
+    }
+  }
+
+  return { mappings: normalized, errors };
+}
+
+// Mappings from a request, as an array or JSON text (query strings and form
+// fields): checkMappings' result, with an error for anything not shaped
+// like [{ from, to }]
+export function readMappings(value) {
+  let mappings = value;
+  if (typeof value === "string") {
+    try {
+      mappings = JSON.parse(value);
+    } catch (error) {
+      mappings = null;
+    }
+  }
+
+  if (
+    !Array.isArray(mappings) ||
+    !mappings.length ||
+    !mappings.every(
+      (m) =>
+        m &&
+        typeof m.from === "string" &&
+        (m.to === undefined || typeof m.to === "string")
+    )
+  ) {
+    return {
+      mappings: null,
+      errors: [
+        {
+          field: "/mappings",
+          message: "must be a non-empty array of { from, to } paths",
+        },
+      ],
+    };
+  }
+
+  return checkMappings(mappings, "/mappings");
+}
+
+// checkMappings that throws a MappingError
+export function normalizeMappings(mappings, sourceDir) {
+  const { mappings: normalized, errors } = checkMappings(
+    mappings,
+    "",
+    sourceDir
+  );
+  if (errors.length) {
+    throw new MappingError(errors);
+  }
+  return normalized;
+}
+
+// The repository path of a file collected at `relativePath` of the source
+export function mapPath(mapping, relativePath) {
+  const inner = mapping.from
+    ? relativePath.slice(mapping.from.length + 1)
+    : relativePath;
+  return mapping.to ? `${mapping.to}/${inner}` : inner;
+}
+
+// The entries of a listed tree (see diffFiles in push.js) that mapped pushes
+// manage: those under one of the targets. Everything without mappings.
+export function scopeToMappings(remoteFiles, mappings) {
+  if (!mappings || !mappings.length) {
+    return remoteFiles;
+  }
+
+  const targets = normalizeMappings(mappings).map((m) => m.to);
+  return new Map(
+    [...remoteFiles].filter(([p]) => targets.some((t) => isWithin(t, p)))
+  );
+}
@@ -0,0 +1,56 @@
+// Thrown for multipart bodies that cannot be parsed: a bad request
+export class MultipartError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MultipartError";
+  }
+}
+
+// Minimal multipart/form-data parser for binary HTTP bodies. Returns text
+// fields as strings and file parts as { filename, data } with a Buffer.
+export function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!match) {
+    throw new MultipartError("Missing multipart boundary");
+  }
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = {};
+  let start = body.indexOf(boundary);
+
+  while (start !== -1) {
+    start += boundary.length;
+    // "--" after the boundary marks the end of the body
+    if (body.slice(start, start + 2).toString() === "--") {
+      break;
+    }
+    start += 2; // CRLF after the boundary
+
+    const end = body.indexOf(boundary, start);
+    if (end === -1) {
+      break;
+    }
+
+    const part = body.slice(start, end - 2); // drop the CRLF before the boundary
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString();
+      const content = part.slice(headerEnd + 4);
+      const name = /;\s*name="([^"]*)"/i.exec(headers)?.[1];
+      const filename = /;\s*filename="([^"]*)"/i.exec(headers)?.[1];
+
+      if (name !== undefined) {
+        if (filename !== undefined) {
+          files[name] = { filename, data: content };
+        } else {
+          fields[name] = content.toString();
+        }
+      }
+    }
+
+    start = end;
+  }
+
+  return { fields, files };
+}
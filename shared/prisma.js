@@ -0,0 +1,7 @@
+import { PrismaClient } from "@prisma/client";
+
+// One client per worker process, reused across invocations
+const prisma = globalThis.prisma || new PrismaClient();
+globalThis.prisma = prisma;
+
+export default prisma;
@@ -0,0 +1,115 @@
+import { getGithubToken } from "./credentials.js";
+import { createGiteaProvider } from "./gitea.js";
+import { createGithubProvider, createOctokit } from "./github.js";
+import { createGitlabProvider } from "./gitlab.js";
+import { createGitRemoteProvider } from "./gitremote.js";
+
+// A provider wraps one repository on one git host and is what pushDirectory
+// (push.js) talks to:
+//
+//   name, owner, repo
+//   ensureRepository(options)   reuse or create the repository (empty with
+//                               `autoInit: false`); resolves to
+//                               { data: { url, defaultBranch, visibility },
+//                               created }
+//   getBranchHead(branch)       head commit sha, or null if there is none
+//   listFiles(commitSha)        Map of path -> { sha, mode } for the blobs
+//                               and submodules of a commit
+//   commit({ branch, base, branchExists, parentSha, files, deleted,
+//            replace, message, onStage })
+//                               writes the tree and commit and fast-forwards
+//                               (or creates) the branch; `replace` means
+//                               `files` is the whole tree, otherwise they
+//                               and `deleted` apply on top of the parent.
+//                               Throws RefConflictError if the branch moved.
+//   createBranch(branch, sha)   creates a branch at an existing commit
+//   gitRemote()                 { url, auth } for pushing with the git CLI;
+//                               `auth` is "user:password" for basic auth
+//   openMergeRequest({ head, base, title, body })
+//                               opens or updates a pull/merge request;
+//                               resolves to { number, url, created }. Absent
+//                               when the host has no pull requests.
+//   close()                     releases local resources
+//
+// Hosts: "github" (GitHub REST API), "gitlab" (GITLAB_URL, gitlab.com by
+// default), "gitea" (GITEA_URL) and "git", any remote reachable with the git
+// CLI (GIT_REMOTE_URL, with {owner} and {repo} placeholders).
+export const PROVIDERS = ["github", "gitlab", "gitea", "git"];
+
+export class MissingCredentialError extends Error {
+  constructor(type, username) {
+    super(
+      type === "github"
+        ? `No GitHub credential for user ${username || "(none)"}; store a token with TreeCredentials first`
+        : `No ${type} credential is configured`
+    );
+    this.name = "MissingCredentialError";
+    this.provider = type;
+    this.username = username;
+  }
+}
+
+// GitHub tokens are stored per user and never shared between users; the
+// other hosts use one service token. Plain git remotes carry their
+// credentials in the URL and need none. Throws a MissingCredentialError
+// when there is no token to push with.
+export async function getProviderToken(type, username) {
+  let token;
+  switch (type) {
+    case "github":
+      token = username ? await getGithubToken(username) : null;
+      break;
+    case "gitlab":
+      token = process.env.GITLAB_TOKEN;
+      break;
+    case "gitea":
+      token = process.env.GITEA_TOKEN;
+      break;
+    default:
+      return null;
+  }
+
+  if (!token) {
+    throw new MissingCredentialError(type, username);
+  }
+  return token;
+}
+
+export async function createProvider({ type = "github", token, owner, repo }) {
+  switch (type) {
+    case "github":
+      return createGithubProvider(await createOctokit(token), {
+        owner,
+        repo,
+        token,
+      });
+    case "gitlab":
+      return createGitlabProvider({
+        baseUrl: process.env.GITLAB_URL || "https://gitlab.com",
+        token,
+        owner,
+        repo,
+      });
+    case "gitea":
+      if (!process.env.GITEA_URL) {
+        throw new Error("GITEA_URL is not configured");
+      }
+      return createGiteaProvider({
+        baseUrl: process.env.GITEA_URL,
+        token,
+        owner,
+        repo,
+      });
+    case "git":
+      if (!process.env.GIT_REMOTE_URL) {
+        throw new Error("GIT_REMOTE_URL is not configured");
+      }
+      return createGitRemoteProvider({
+        url: process.env.GIT_REMOTE_URL,
+        owner,
+        repo,
+      });
+    default:
+      throw new Error(`Unknown provider: ${type}`);
+  }
+}
@@ -0,0 +1,150 @@
+// Makes sure the target repository exists before anything is pushed: an
+// existing repository is reused as is, a missing one is created under the
+// authenticated user, under an organization (when `owner` is not the
+// authenticated user), or generated from a template repository.
+
+const TEMPLATE_READY_ATTEMPTS = 10;
+const TEMPLATE_READY_DELAY_MS = 1000;
+
+async function getRepository(octokit, owner, repo) {
+  try {
+    const response = await octokit.request("GET /repos/{owner}/{repo}", {
+      owner,
+      repo,
+    });
+    return response.data;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// "owner/name" or { owner, repo }
+function parseTemplate(template) {
+  if (typeof template === "string") {
+    const [owner, repo] = template.split("/");
+    return { owner, repo };
+  }
+  return template;
+}
+
+// Repositories generated from a template are filled in asynchronously, so
+// wait until the default branch can be read before pushing on top of it.
+async function waitForDefaultBranch(octokit, owner, repo) {
+  for (let attempt = 1; attempt <= TEMPLATE_READY_ATTEMPTS; attempt++) {
+    const data = await getRepository(octokit, owner, repo);
+    if (data) {
+      try {
+        await octokit.request("GET /repos/{owner}/{repo}/git/ref/{ref}", {
+          owner,
+          repo,
+          ref: `heads/${data.default_branch}`,
+        });
+        return data;
+      } catch (error) {
+        if (error.status !== 404 && error.status !== 409) {
+          throw error;
+        }
+      }
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, TEMPLATE_READY_DELAY_MS)
+    );
+  }
+
+  throw new Error(`${owner}/${repo} was not ready after template generation`);
+}
+
+function visibilityOptions({ visibility, isPrivate }) {
+  if (visibility) {
+    return { visibility, private: visibility !== "public" };
+  }
+  return { private: isPrivate !== false };
+}
+
+// Options: description, homepage, visibility ("public" | "private" |
+// "internal", else `isPrivate`), topics, licenseTemplate, gitignoreTemplate,
+// template ("owner/name") and includeAllBranches. Set `create: false` to
+// require that the repository already exists, and `autoInit: false` to
+// create it without an initial commit.
+export async function ensureRepository(
+  octokit,
+  {
+    owner,
+    repo,
+    create = true,
+    isPrivate = true,
+    visibility,
+    description,
+    homepage,
+    topics,
+    licenseTemplate,
+    gitignoreTemplate,
+    template,
+    includeAllBranches = false,
+    autoInit = true,
+  }
+) {
+  const existing = await getRepository(octokit, owner, repo);
+  if (existing) {
+    return { data: existing, created: false };
+  }
+
+  if (!create) {
+    throw new Error(`Repository ${owner}/${repo} does not exist`);
+  }
+
+  const { data: user } = await octokit.request("GET /user");
+  const isOrg = user.login.toLowerCase() !== owner.toLowerCase();
+  const access = visibilityOptions({ visibility, isPrivate });
+  let data;
+
+  if (template) {
+    const source = parseTemplate(template);
+    await octokit.request(
+      "POST /repos/{template_owner}/{template_repo}/generate",
+      {
+        template_owner: source.owner,
+        template_repo: source.repo,
+        owner,
+        name: repo,
+        description,
+        private: access.private,
+        include_all_branches: includeAllBranches,
+      }
+    );
+    data = await waitForDefaultBranch(octokit, owner, repo);
+  } else {
+    const options = {
+      name: repo,
+      description,
+      homepage,
+      private: access.private,
+      auto_init: autoInit,
+      license_template: licenseTemplate,
+      gitignore_template: gitignoreTemplate,
+    };
+
+    // Only organizations support "internal" visibility
+    const response = isOrg
+      ? await octokit.request("POST /orgs/{org}/repos", {
+          org: owner,
+          ...options,
+          visibility: access.visibility,
+        })
+      : await octokit.request("POST /user/repos", options);
+    data = response.data;
+  }
+
+  if (topics && topics.length) {
+    await octokit.request("PUT /repos/{owner}/{repo}/topics", {
+      owner,
+      repo,
+      names: topics.map((t) => t.toLowerCase()),
+    });
+  }
+
+  return { data, created: true };
+}
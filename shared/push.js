@@ -0,0 +1,347 @@
+import { FILE_MODES, gitBlobSha, iterateFiles } from "./files.js";
+import { createIgnoreRules } from "./ignore.js";
+import { normalizeMappings, scopeToMappings } from "./mappings.js";
+import { SECRET_POLICIES, scanFiles, SecretsFoundError } from "./secrets.js";
+
+// Thrown by providers when the branch moved between reading its head and
+// updating it, so the commit has to be rebuilt on top of the new head.
+export class RefConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RefConflictError";
+    this.status = 409;
+  }
+}
+
+// Compares collected files with the entries of an existing commit (as
+// returned by a provider's listFiles) and returns only what differs: added
+// and modified files plus deleted paths. A changed mode (e.g. a script that
+// became executable) counts as a modification.
+export function diffFiles(remoteFiles, files) {
+  const remaining = new Map(remoteFiles);
+  const added = [];
+  const modified = [];
+
+  for (const f of files) {
+    const remote = remaining.get(f.path);
+    if (!remote) {
+      added.push(f);
+    } else if (
+      remote.sha !== gitBlobSha(f) ||
+      remote.mode !== (f.mode || FILE_MODES.file)
+    ) {
+      modified.push(f);
+    }
+    remaining.delete(f.path);
+  }
+
+  return { added, modified, deleted: [...remaining.keys()] };
+}
+
+export function toChanges(diff) {
+  return {
+    added: diff.added.map((f) => f.path),
+    modified: diff.modified.map((f) => f.path),
+    deleted: diff.deleted,
+  };
+}
+
+function listPaths(title, paths, limit = 100) {
+  if (!paths.length) {
+    return [];
+  }
+
+  const lines = [`### ${title} (${paths.length})`, ""];
+  for (const p of paths.slice(0, limit)) {
+    lines.push(`- \`${p}\``);
+  }
+  if (paths.length > limit) {
+    lines.push(`- ...and ${paths.length - limit} more`);
+  }
+  lines.push("");
+  return lines;
+}
+
+export function describeChanges(changes) {
+  return [
+    `${changes.added.length} added, ${changes.modified.length} modified, ${changes.deleted.length} deleted.`,
+    "",
+    ...listPaths("Added", changes.added),
+    ...listPaths("Modified", changes.modified),
+    ...listPaths("Deleted", changes.deleted),
+  ].join("\n");
+}
+
+const MAX_REF_ATTEMPTS = 5;
+
+// Commits `files` on top of the current head of `branch` (or of `base` when
+// the branch does not exist yet). Providers only ever fast-forward; if
+// another push moved the branch in between, the head is re-read and the
+// commit is rebuilt on top of it, so nothing is silently overwritten.
+// With `mappings` only paths under their targets are replaced.
+async function commitFiles(
+  provider,
+  { branch, base, files, sync, mappings, message, onStage }
+) {
+  for (let attempt = 1; ; attempt++) {
+    let parentSha = await provider.getBranchHead(branch);
+    const branchExists = !!parentSha;
+
+    if (!branchExists) {
+      parentSha = await provider.getBranchHead(base);
+    }
+
+    let update = { files, deleted: [], replace: true };
+    let changes = null;
+
+    const mapped = !!(mappings && mappings.length);
+    if ((sync || mapped) && parentSha) {
+      await onStage("comparing");
+      const diff = diffFiles(
+        scopeToMappings(await provider.listFiles(parentSha), mappings),
+        files
+      );
+      changes = toChanges(diff);
+
+      if (!sync) {
+        // Everything is written again, but only within the targets
+        update = { files, deleted: diff.deleted, replace: false };
+      } else if (
+        !diff.added.length &&
+        !diff.modified.length &&
+        !diff.deleted.length
+      ) {
+        if (branchExists) {
+          return { parentSha, commitSha: parentSha, changes, skipped: true };
+        }
+        update = null;
+      } else {
+        update = {
+          files: [...diff.added, ...diff.modified],
+          deleted: diff.deleted,
+          replace: false,
+        };
+      }
+    }
+
+    try {
+      if (!update) {
+        // Nothing to commit, but the new branch still has to exist
+        await onStage("updating-ref");
+        await provider.createBranch(branch, parentSha);
+        return {
+          parentSha,
+          commitSha: parentSha,
+          branchCreated: true,
+          changes,
+          skipped: true,
+        };
+      }
+
+      await onStage("uploading");
+      const commitSha = await provider.commit({
+        ...update,
+        branch,
+        base,
+        branchExists,
+        parentSha,
+        message,
+        onStage,
+      });
+      return {
+        parentSha,
+        commitSha,
+        branchCreated: !branchExists,
+        changes,
+        skipped: commitSha === parentSha,
+      };
+    } catch (error) {
+      if (!(error instanceof RefConflictError) || attempt >= MAX_REF_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Collects and scans a source as pushDirectory commits it (its options, same
+// names). Resolves to { files, findings } with the files as they would be
+// committed, redacted under the "redact" policy; throws a SecretsFoundError
+// under "block".
+export async function prepareFiles(
+  sourceDir,
+  {
+    ignoreOptions,
+    keepEmptyDirs = false,
+    transcode = false,
+    normalizeEol = false,
+    limits = {},
+    mappings,
+    secretPolicy = "block",
+    onStage = async () => {},
+  }
+) {
+  // Files are scanned for secrets as the walk finds them rather than after
+  // all were collected
+  await onStage("collecting-files");
+  const scan = await scanFiles(
+    iterateFiles(sourceDir, createIgnoreRules(ignoreOptions), {
+      ...limits,
+      keepEmptyDirs,
+      transcode,
+      normalizeEol,
+      mappings,
+    }),
+    secretPolicy
+  );
+  if (scan.findings.length && secretPolicy === "block") {
+    throw new SecretsFoundError(scan.findings);
+  }
+  return scan;
+}
+
+// Runs the whole scan -> provision -> commit -> ref-update pipeline for one
+// source directory against a provider (see providers.js). The repository is
+// reused when it exists, otherwise created (see the provider's
+// ensureRepository for the `repository` options) unless `createRepo` is
+// false. When the branch does not exist yet it is created from the head of
+// `baseBranch` (the repository's default branch unless given).
+//
+// With `pullRequest` the commit goes to `branch` (a generated push/<time>
+// branch unless named) and a pull/merge request into the base branch is
+// opened, or updated when one is already open for that branch.
+//
+// In sync mode only added and modified files are uploaded on top of the
+// parent's tree, removed paths are deleted, and no commit is made at all when
+// nothing changed.
+//
+// `ignoreOptions` ({ ignore, include, useDefaults }) are layered over the
+// default ignore list and the source's own .gitignore/.pushignore files.
+// `keepEmptyDirs` adds a .gitkeep to empty directories so they survive.
+// Text in encodings other than UTF-8 is pushed as raw bytes unless
+// `transcode` converts it; line endings follow the source's .gitattributes,
+// and `normalizeEol` applies `* text=auto` to sources without one.
+// `limits` ({ maxFiles, maxBytes }) override SOURCE_MAX_FILES and
+// SOURCE_MAX_BYTES for this push.
+// `mappings` ([{ from, to }], see mappings.js) push directories of the source
+// to paths of the repository instead of the whole source to its root; only
+// paths under their targets are changed.
+// Collected files are scanned for secrets first; `secretPolicy` ("block",
+// "redact" or "warn") decides what happens to findings. `prepared` is
+// prepareFiles' result for the same source and options, when the caller
+// already has it, and is pushed without collecting the source again.
+// `onStage` is awaited with the name of each step as it starts.
+export async function pushDirectory(
+  provider,
+  {
+    sourceDir,
+    branch,
+    baseBranch,
+    pullRequest = false,
+    pullRequestTitle,
+    message = "successful initial commit",
+    isPrivate = true,
+    createRepo = true,
+    repository = {},
+    sync = false,
+    ignoreOptions,
+    keepEmptyDirs = false,
+    transcode = false,
+    normalizeEol = false,
+    limits = {},
+    mappings,
+    secretPolicy = "block",
+    prepared,
+    onStage = async () => {},
+  }
+) {
+  if (pullRequest && !provider.openMergeRequest) {
+    throw new Error(`Pull requests are not supported by ${provider.name}`);
+  }
+  if (mappings) {
+    normalizeMappings(mappings, sourceDir);
+  }
+  if (!SECRET_POLICIES.includes(secretPolicy)) {
+    throw new Error(`Unknown secret policy: ${secretPolicy}`);
+  }
+
+  // Collected and scanned before anything is created, so a blocked push
+  // leaves no empty repository behind
+  const scan =
+    prepared ||
+    (await prepareFiles(sourceDir, {
+      ignoreOptions,
+      keepEmptyDirs,
+      transcode,
+      normalizeEol,
+      limits,
+      mappings,
+      secretPolicy,
+      onStage,
+    }));
+  const filesEncoded = scan.files;
+
+  await onStage("provisioning");
+  const provisioned = await provider.ensureRepository({
+    ...repository,
+    create: createRepo,
+    isPrivate,
+  });
+  const repoInfo = provisioned.data;
+
+  const base = baseBranch || repoInfo.defaultBranch;
+  branch = branch || (pullRequest ? `push/${Date.now()}` : "main");
+
+  if (pullRequest && branch === base) {
+    throw new Error(`Pull request branch must differ from base branch ${base}`);
+  }
+
+  const commit = await commitFiles(provider, {
+    branch,
+    base,
+    files: filesEncoded,
+    sync,
+    mappings,
+    message,
+    onStage,
+  });
+
+  const summary = {
+    provider: provider.name,
+    repoUrl: repoInfo.url,
+    repoCreated: provisioned.created,
+    defaultBranch: repoInfo.defaultBranch,
+    visibility: repoInfo.visibility,
+    branch,
+    // The commit's parent, from the base branch when the branch is new
+    parentSha: commit.parentSha,
+    branchCreated: !!commit.branchCreated,
+    commitSha: commit.commitSha,
+    fileCount: filesEncoded.length,
+    changes: commit.changes,
+    secretFindings: scan.findings,
+  };
+
+  if (commit.skipped) {
+    return { ...summary, pullRequest: null, skipped: true };
+  }
+
+  let pullRequestResult = null;
+  if (pullRequest) {
+    await onStage("opening-pull-request");
+    const baseSha = await provider.getBranchHead(base);
+    const prDiff = diffFiles(
+      baseSha
+        ? scopeToMappings(await provider.listFiles(baseSha), mappings)
+        : new Map(),
+      filesEncoded
+    );
+    pullRequestResult = await provider.openMergeRequest({
+      head: branch,
+      base,
+      title: pullRequestTitle || `Update ${provider.repo} from ${branch}`,
+      body: describeChanges(toChanges(prDiff)),
+    });
+  }
+
+  return { ...summary, pullRequest: pullRequestResult, skipped: false };
+}
@@ -0,0 +1,35 @@
+import { ServiceBusClient } from "@azure/service-bus";
+import { readPushJob } from "./contract.js";
+
+// Messages for one repository share a session, so the session-enabled queue
+// hands them to the consumer one at a time and in order, while pushes to
+// different repositories still run in parallel. GitHub repositories keep
+// their bare owner/repo session ids; other hosts are prefixed.
+export function repoSessionId(body) {
+  const { job } = readPushJob(body);
+  if (!job) {
+    return "invalid";
+  }
+  const { provider = "github", owner, repo } = job.target;
+  const id = `${owner}/${repo}`.toLowerCase();
+  return provider === "github" ? id : `${provider}:${id}`;
+}
+
+// Sends one push message to QUEUE_NAME, optionally scheduled for later
+// delivery (used for retries so the function never sleeps).
+export async function sendPushMessage(body, { scheduledAt } = {}) {
+  const sbClient = new ServiceBusClient(process.env.ServiceBusConnection);
+  const sender = sbClient.createSender(process.env.QUEUE_NAME);
+  const message = { body, sessionId: repoSessionId(body) };
+
+  try {
+    if (scheduledAt) {
+      await sender.scheduleMessages(message, scheduledAt);
+    } else {
+      await sender.sendMessages(message);
+    }
+  } finally {
+    await sender.close();
+    await sbClient.close();
+  }
+}
@@ -0,0 +1,138 @@
+import { AccessError } from "./auth.js";
+import { collectFiles, SourceLimitError } from "./files.js";
+import { createIgnoreRules } from "./ignore.js";
+import prisma from "./prisma.js";
+
+// Per-user limits, from the user's Github record or the defaults in brackets:
+//   pushesPerHour      push jobs started in the last hour
+//                      (QUOTA_PUSHES_PER_HOUR, 30)
+//   maxConcurrentJobs  jobs queued or running at once
+//                      (QUOTA_MAX_CONCURRENT_JOBS, 3)
+//   maxRepoMb          collected size of one source (QUOTA_MAX_REPO_MB, 500)
+// Usage is counted from PushJob rows, so synchronous pushes are recorded as
+// jobs too. A running job that has not moved on for QUOTA_STALE_JOB_MINUTES
+// (60) is taken to belong to a worker that died, and no longer counts.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function staleBefore() {
+  const minutes = Number(process.env.QUOTA_STALE_JOB_MINUTES) || 60;
+  return new Date(Date.now() - minutes * 60 * 1000);
+}
+
+export async function getQuota(username) {
+  const user = await prisma.github.findUnique({ where: { username } });
+
+  return {
+    pushesPerHour:
+      (user && user.quota_pushes_per_hour) ||
+      Number(process.env.QUOTA_PUSHES_PER_HOUR) ||
+      30,
+    maxConcurrentJobs:
+      (user && user.quota_max_concurrent_jobs) ||
+      Number(process.env.QUOTA_MAX_CONCURRENT_JOBS) ||
+      3,
+    maxRepoMb:
+      (user && user.quota_max_repo_mb) ||
+      Number(process.env.QUOTA_MAX_REPO_MB) ||
+      500,
+  };
+}
+
+// Walker limits that keep a push within the user's repository size
+export function quotaLimits(quota) {
+  return { maxBytes: quota.maxRepoMb * 1024 * 1024 };
+}
+
+// Throws an AccessError (429) when the user has no push to spare: too many
+// jobs queued or running, or all of this hour's pushes used. Counts through
+// `client`, a transaction when the job is created in the same one (see
+// reserveJob).
+async function checkUsage(client, username, quota) {
+  const active = await client.pushJob.count({
+    where: {
+      username,
+      OR: [
+        { status: "queued" },
+        // Every stage a job enters updates the row
+        { status: "running", updated_at: { gte: staleBefore() } },
+      ],
+    },
+  });
+  if (active >= quota.maxConcurrentJobs) {
+    throw new AccessError(
+      429,
+      "too-many-jobs",
+      `${username} already has ${active} push jobs queued or running (limit ${quota.maxConcurrentJobs})`,
+      30
+    );
+  }
+
+  const recent = await client.pushJob.findMany({
+    where: { username, created_at: { gte: new Date(Date.now() - HOUR_MS) } },
+    orderBy: { created_at: "asc" },
+    select: { created_at: true },
+  });
+  if (recent.length >= quota.pushesPerHour) {
+    // A slot frees up when the oldest push of the window is an hour old
+    const freesAt =
+      recent[recent.length - quota.pushesPerHour].created_at.getTime() +
+      HOUR_MS;
+    throw new AccessError(
+      429,
+      "rate-limited",
+      `${username} has used all ${quota.pushesPerHour} pushes for this hour`,
+      Math.max(Math.ceil((freesAt - Date.now()) / 1000), 1)
+    );
+  }
+}
+
+// Checks a user's quotas before a push is started or queued and throws an
+// AccessError (429, or 403 for a source that is too large) when one is used
+// up. `sourceDir`, `ignoreOptions` and `mappings` describe the source to
+// measure. This rejects early; the job itself is created with reserveJob,
+// which checks the counts again.
+export async function enforceQuota(principal, username, options = {}) {
+  if (principal.admin) {
+    return;
+  }
+
+  const quota = await getQuota(username);
+  await checkUsage(prisma, username, quota);
+
+  if (options.sourceDir) {
+    try {
+      await collectFiles(
+        options.sourceDir,
+        createIgnoreRules(options.ignoreOptions),
+        { ...quotaLimits(quota), mappings: options.mappings, statOnly: true }
+      );
+    } catch (error) {
+      if (error instanceof SourceLimitError) {
+        throw new AccessError(
+          403,
+          "repo-too-large",
+          `${error.message}; ${username} may push up to ${quota.maxRepoMb}MB`
+        );
+      }
+      throw error;
+    }
+  }
+}
+
+// Counts the user's usage and runs `create(tx)` (which inserts the PushJob)
+// in one transaction holding a per-user advisory lock, so concurrent
+// requests cannot all pass the check before any of their jobs exists.
+// Resolves to what `create` does; admins are not limited.
+export async function reserveJob(principal, username, create) {
+  if (principal.admin) {
+    return create(prisma);
+  }
+
+  const quota = await getQuota(username);
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`quota:${username}`}))`;
+    await checkUsage(tx, username, quota);
+    return create(tx);
+  });
+}
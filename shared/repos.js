@@ -0,0 +1,78 @@
+import prisma from "./prisma.js";
+
+// Registry and schedule ids in paths and bodies are (32-bit) integers;
+// anything else is a bad request. Resolves null for those.
+export function readId(value) {
+  return /^\d{1,9}$/.test(String(value)) ? Number(value) : null;
+}
+
+// Records a successful push in the repository registry, creating the entry
+// the first time this service touches a repository. Repositories are told
+// apart by host (the provider that pushed) as well as owner and name.
+export async function recordRepoPush({ username, owner, name, source, result }) {
+  const provider = result.provider || "github";
+  const user = username
+    ? await prisma.github.findUnique({ where: { username } })
+    : null;
+  const data = {
+    // Plain git remotes have no notion of visibility
+    ...(result.visibility ? { visibility: result.visibility } : {}),
+    default_branch: result.defaultBranch,
+    source,
+    status: "active",
+  };
+
+  // Unchanged syncs leave the last pushed commit as it was
+  if (!result.skipped) {
+    data.last_commit_sha = result.commitSha;
+    data.last_pushed_at = new Date();
+  }
+
+  // The entry stays with the user who registered it; a push by someone else
+  // only claims an entry that has no user yet
+  const where = { provider_owner_name: { provider, owner, name } };
+  const existing = await prisma.repos.findUnique({
+    where,
+    select: { github_user_id: true },
+  });
+
+  return prisma.repos.upsert({
+    where,
+    create: {
+      provider,
+      owner,
+      name,
+      github_user_id: user ? user.id : null,
+      last_commit_sha: result.commitSha,
+      last_pushed_at: new Date(),
+      ...data,
+    },
+    update: {
+      ...(user && existing && existing.github_user_id === null
+        ? { github_user_id: user.id }
+        : {}),
+      ...data,
+    },
+  });
+}
+
+export async function listRepos(username, { includeUnlinked = false } = {}) {
+  return prisma.repos.findMany({
+    where: {
+      github_user: { username },
+      ...(includeUnlinked ? {} : { status: { not: "unlinked" } }),
+    },
+    orderBy: { updated_at: "desc" },
+  });
+}
+
+export async function getRepo(id) {
+  return prisma.repos.findUnique({
+    where: { id },
+    include: { github_user: { select: { username: true } } },
+  });
+}
+
+export async function setRepoStatus(id, status) {
+  return prisma.repos.update({ where: { id }, data: { status } });
+}
@@ -0,0 +1,114 @@
+import crypto from "crypto";
+
+// Small JSON client for the GitLab and Gitea REST APIs. Failed requests throw
+// an ApiError shaped like Octokit's RequestError (`status`, `response` with
+// `headers` and `data`), so classifyError handles every provider alike.
+
+export class ApiError extends Error {
+  constructor(method, url, response, data) {
+    const detail =
+      data && typeof data === "object" ? data.message || data.error : data;
+    super(`${method} ${url} failed with ${response.status}: ${detail || ""}`);
+    this.name = "ApiError";
+    this.status = response.status;
+    this.response = {
+      status: response.status,
+      headers: Object.fromEntries(response.headers.entries()),
+      data,
+    };
+  }
+}
+
+// A value of a request body streamed in as a JSON string: `chunks` is an
+// async iterable of text that needs no escaping, like streamBase64's
+// (files.js). Bodies holding one are sent as they are read.
+export class StreamedString {
+  constructor(chunks) {
+    this.chunks = chunks;
+  }
+}
+
+// `body` as JSON: a string, or an async iterable of Buffers when it holds a
+// StreamedString
+export function encodeJson(body) {
+  const id = crypto.randomUUID();
+  const streams = [];
+  const text = JSON.stringify(body, (key, value) => {
+    if (value instanceof StreamedString) {
+      streams.push(value.chunks);
+      return `\u0000${id}:${streams.length - 1}`;
+    }
+    return value;
+  });
+  if (!streams.length) {
+    return text;
+  }
+
+  // Placeholders are an escaped NUL and a random id, which no other value
+  // of the body turns into by chance
+  const parts = text.split(new RegExp(`"\\\\u0000${id}:(\\d+)"`));
+  return (async function* () {
+    for (let i = 0; i < parts.length; i++) {
+      if (i % 2 === 0) {
+        yield Buffer.from(parts[i]);
+        continue;
+      }
+      yield Buffer.from('"');
+      for await (const chunk of streams[Number(parts[i])]) {
+        yield Buffer.from(chunk);
+      }
+      yield Buffer.from('"');
+    }
+  })();
+}
+
+export function createRestClient({ baseUrl, headers = {} }) {
+  // `path` may contain {name} placeholders, filled (URL-encoded) from params
+  return async function request(
+    method,
+    path,
+    { params = {}, query, body } = {}
+  ) {
+    const resolved = path.replace(/\{(\w+)\}/g, (_, name) =>
+      encodeURIComponent(params[name])
+    );
+    const url = new URL(baseUrl.replace(/\/+$/, "") + resolved);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+
+    const encoded = body ? encodeJson(body) : undefined;
+    const response = await fetch(url, {
+      method,
+      headers: {
+        accept: "application/json",
+        ...(body ? { "content-type": "application/json" } : {}),
+        ...headers,
+      },
+      body: encoded,
+      // Streamed bodies are sent as they are read
+      ...(typeof encoded === "object" ? { duplex: "half" } : {}),
+    });
+
+    const text = await response.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (e) {
+      // Not JSON; keep the raw text for the error message
+    }
+
+    if (!response.ok) {
+      const target = `${url.origin}${url.pathname}`;
+      throw new ApiError(method, target, response, data);
+    }
+
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers.entries()),
+      data,
+    };
+  };
+}
@@ -0,0 +1,35 @@
+import { classifyError, retryDelay } from "./errors.js";
+import { deadLetterJob, scheduleJobRetry } from "./jobs.js";
+import { sendPushMessage } from "./queue.js";
+
+export function maxAttempts() {
+  return Number(process.env.PUSH_MAX_ATTEMPTS) || 5;
+}
+
+// Decides what happens to a queue message whose push failed: retryable
+// errors are re-sent as a scheduled message with the attempt count bumped,
+// everything else (and retries past PUSH_MAX_ATTEMPTS) is dead-lettered on
+// the job with a reason so it can be replayed later.
+export async function handlePushFailure(data, error) {
+  const attempt = data.attempt || 1;
+  const classification = classifyError(error);
+
+  if (classification.retryable && attempt < maxAttempts()) {
+    const scheduledAt = new Date(
+      Date.now() + retryDelay(attempt, classification)
+    );
+    await sendPushMessage({ ...data, attempt: attempt + 1 }, { scheduledAt });
+    if (data.jobId) {
+      await scheduleJobRetry(data.jobId, error, scheduledAt);
+    }
+    return { retried: true, kind: classification.kind, scheduledAt };
+  }
+
+  const reason = classification.retryable
+    ? `Gave up after ${attempt} attempts (${classification.kind}): ${error.message}`
+    : `${classification.kind} error: ${error.message}`;
+  if (data.jobId) {
+    await deadLetterJob(data.jobId, error, reason);
+  }
+  return { retried: false, kind: classification.kind, reason };
+}
@@ -0,0 +1,312 @@
+import { describeErrors, readPushJob } from "./contract.js";
+import { CronError, nextRun } from "./cron.js";
+import { resolveSourceDir } from "./files.js";
+import { trackPush } from "./jobs.js";
+import { scopeToMappings } from "./mappings.js";
+import prisma from "./prisma.js";
+import { createProvider, getProviderToken } from "./providers.js";
+import { diffFiles, prepareFiles, pushDirectory } from "./push.js";
+import { enforceQuota, getQuota, quotaLimits } from "./quotas.js";
+import { recordRepoPush } from "./repos.js";
+
+// Scheduled re-syncs of a source directory to a branch of a registered
+// repository. Each schedule has a cron expression (see cron.js); when it is
+// due, TreeResync compares the source with the last commit pushed for it
+// (the head of its branch before its first run) and only pushes,
+// as a sync push by "scheduler", when something changed. Every run is
+// recorded as a SyncRun. Schedules of repositories that are no longer active
+// in the registry are not run.
+
+// Push options a schedule may carry; the rest come from the defaults
+const OPTION_KEYS = [
+  "filters",
+  "keepEmptyDirs",
+  "transcode",
+  "normalizeEol",
+  "mappings",
+  "secretPolicy",
+];
+
+export function pickScheduleOptions(body) {
+  const options = {};
+  for (const key of OPTION_KEYS) {
+    if (body[key] !== undefined) {
+      options[key] = body[key];
+    }
+  }
+  return Object.keys(options).length ? options : null;
+}
+
+// Where each option sits in a push job (contract.js), and back
+const OPTION_FIELDS = {
+  "/filters": "/filters",
+  "/source/keepEmptyDirs": "/keepEmptyDirs",
+  "/source/transcode": "/transcode",
+  "/source/normalizeEol": "/normalizeEol",
+  "/source/mappings": "/mappings",
+  "/secrets/policy": "/secretPolicy",
+};
+
+// Validates a schedule's options as the push job they run as. Errors are
+// { field, message } with fields named after the options.
+export function checkScheduleOptions(options, { username, repo, source }) {
+  const { errors } = readPushJob({
+    version: 2,
+    user: username,
+    source: {
+      dir: source,
+      keepEmptyDirs: options.keepEmptyDirs,
+      transcode: options.transcode,
+      normalizeEol: options.normalizeEol,
+      mappings: options.mappings,
+    },
+    target: { owner: repo.owner, repo: repo.name },
+    filters: options.filters,
+    secrets:
+      options.secretPolicy !== undefined
+        ? { policy: options.secretPolicy }
+        : undefined,
+  });
+
+  return errors.map((error) => {
+    const prefix = Object.keys(OPTION_FIELDS).find(
+      (p) => error.field === p || error.field.startsWith(`${p}/`)
+    );
+    return prefix
+      ? {
+          ...error,
+          field: OPTION_FIELDS[prefix] + error.field.slice(prefix.length),
+        }
+      : error;
+  });
+}
+
+// Throws a CronError for a `cron` that is invalid or never comes due
+export async function createSchedule({
+  repo,
+  username,
+  provider = "github",
+  source,
+  branch = "main",
+  cron,
+  options,
+}) {
+  const next = nextRun(cron);
+  if (!next) {
+    throw new CronError(`Cron expression ${cron} never comes due`);
+  }
+
+  return prisma.syncSchedule.create({
+    data: {
+      repo_id: repo.id,
+      username,
+      provider,
+      source,
+      branch,
+      cron,
+      options,
+      next_run_at: next,
+    },
+  });
+}
+
+export async function listSchedules(username) {
+  return prisma.syncSchedule.findMany({
+    where: { username },
+    orderBy: { created_at: "desc" },
+    include: { repo: { select: { owner: true, name: true, status: true } } },
+  });
+}
+
+export async function getSchedule(id) {
+  return prisma.syncSchedule.findUnique({
+    where: { id },
+    include: { repo: true },
+  });
+}
+
+// Resuming starts from the next time the expression is due, so runs missed
+// while paused are not caught up
+export async function setSchedulePaused(schedule, paused) {
+  return prisma.syncSchedule.update({
+    where: { id: schedule.id },
+    data: {
+      paused,
+      next_run_at: paused ? schedule.next_run_at : nextRun(schedule.cron),
+    },
+  });
+}
+
+export async function deleteSchedule(id) {
+  return prisma.syncSchedule.delete({ where: { id } });
+}
+
+export async function listRuns(scheduleId, { limit = 20 } = {}) {
+  return prisma.syncRun.findMany({
+    where: { schedule_id: scheduleId },
+    orderBy: { started_at: "desc" },
+    take: Math.min(Math.max(Number(limit) || 20, 1), 100),
+  });
+}
+
+// Claims the schedules that are due by moving them to their next run. Claims
+// are conditional on the run time read, so overlapping timer invocations
+// never run a schedule twice.
+export async function claimDueSchedules({ limit = 10 } = {}) {
+  const now = new Date();
+  const due = await prisma.syncSchedule.findMany({
+    where: {
+      paused: false,
+      next_run_at: { lte: now },
+      repo: { status: "active" },
+    },
+    orderBy: { next_run_at: "asc" },
+    take: limit,
+    include: { repo: true },
+  });
+
+  const claimed = [];
+  for (const schedule of due) {
+    const { count } = await prisma.syncSchedule.updateMany({
+      where: { id: schedule.id, next_run_at: schedule.next_run_at },
+      data: { next_run_at: nextRun(schedule.cron, now), last_run_at: now },
+    });
+    if (count) {
+      claimed.push(schedule);
+    }
+  }
+  return claimed;
+}
+
+async function finishRun(id, data) {
+  return prisma.syncRun.update({
+    where: { id },
+    data: { ...data, finished_at: new Date() },
+  });
+}
+
+// Runs one schedule and resolves to its SyncRun. Failures are recorded on
+// the run rather than thrown.
+export async function runSchedule(schedule) {
+  const run = await prisma.syncRun.create({
+    data: { schedule_id: schedule.id },
+  });
+  const { repo } = schedule;
+  const options = schedule.options || {};
+  // The repository's last push may have gone to another branch
+  let baseSha = schedule.last_commit_sha;
+
+  let provider;
+  try {
+    const token = await getProviderToken(schedule.provider, schedule.username);
+    provider = await createProvider({
+      type: schedule.provider,
+      token,
+      owner: repo.owner,
+      repo: repo.name,
+    });
+    const sourceDir = resolveSourceDir(schedule.source);
+    // Options stored before they were validated may not be valid
+    const errors = checkScheduleOptions(options, {
+      username: schedule.username,
+      repo,
+      source: schedule.source,
+    });
+    if (errors.length) {
+      throw new Error(`Invalid schedule options: ${describeErrors(errors)}`);
+    }
+
+    const pushOptions = {
+      ignoreOptions: options.filters,
+      keepEmptyDirs: options.keepEmptyDirs === true,
+      transcode: options.transcode === true,
+      normalizeEol: options.normalizeEol === true,
+      mappings: options.mappings,
+      secretPolicy: options.secretPolicy,
+      limits: quotaLimits(await getQuota(schedule.username)),
+    };
+
+    if (!baseSha) {
+      baseSha = await provider.getBranchHead(schedule.branch);
+    }
+
+    // Compared as pushDirectory would commit them: mapped and redacted. The
+    // same files are pushed when something changed.
+    const prepared = await prepareFiles(sourceDir, pushOptions);
+    if (baseSha) {
+      const diff = diffFiles(
+        scopeToMappings(await provider.listFiles(baseSha), options.mappings),
+        prepared.files
+      );
+      if (!diff.added.length && !diff.modified.length && !diff.deleted.length) {
+        return finishRun(run.id, {
+          status: "unchanged",
+          base_sha: baseSha,
+          commit_sha: baseSha,
+          added_count: 0,
+          modified_count: 0,
+          deleted_count: 0,
+        });
+      }
+    }
+
+    // Scheduled pushes count towards the user's quotas like any other
+    const principal = { username: schedule.username, admin: false };
+    await enforceQuota(principal, schedule.username);
+
+    const result = await trackPush(
+      {
+        principal,
+        username: schedule.username,
+        owner: repo.owner,
+        repoName: repo.name,
+        branch: schedule.branch,
+        sourceDir: schedule.source,
+        requestedBy: "scheduler",
+      },
+      (onStage) =>
+        pushDirectory(provider, {
+          sourceDir,
+          branch: schedule.branch,
+          message: `Scheduled sync of ${schedule.source}`,
+          createRepo: false,
+          sync: true,
+          ...pushOptions,
+          prepared,
+          onStage,
+        })
+    );
+
+    await recordRepoPush({
+      username: schedule.username,
+      owner: repo.owner,
+      name: repo.name,
+      source: schedule.source,
+      result,
+    });
+    await prisma.syncSchedule.update({
+      where: { id: schedule.id },
+      data: { last_commit_sha: result.commitSha },
+    });
+
+    return finishRun(run.id, {
+      status: result.skipped ? "unchanged" : "pushed",
+      job_id: result.jobId,
+      base_sha: baseSha,
+      commit_sha: result.commitSha,
+      added_count: result.changes ? result.changes.added.length : null,
+      modified_count: result.changes ? result.changes.modified.length : null,
+      deleted_count: result.changes ? result.changes.deleted.length : null,
+    });
+  } catch (error) {
+    return finishRun(run.id, {
+      status: "failed",
+      base_sha: baseSha,
+      error: error.message,
+    });
+  } finally {
+    if (provider) {
+      provider.close();
+    }
+  }
+}
@@ -0,0 +1,282 @@
+import fs from "fs";
+import { decodeText, detectEncoding } from "./encoding.js";
+
+// Scans collected files for credentials before anything is committed.
+// Policies: "block" fails the push, "redact" replaces each match with a
+// placeholder, "warn" only reports. Findings never contain the secret itself.
+
+export const SECRET_POLICIES = ["block", "redact", "warn"];
+
+const RULES = [
+  {
+    id: "private-key",
+    regex:
+      /-----BEGIN ((?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?)-----(?:[\s\S]*?-----END \1-----)?/g,
+  },
+  { id: "aws-access-key-id", regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    id: "aws-secret-access-key",
+    regex: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?[A-Za-z0-9/+]{40}\b/gi,
+  },
+  {
+    id: "azure-storage-key",
+    regex: /AccountKey=[A-Za-z0-9+/]{86}==/g,
+  },
+  { id: "google-api-key", regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: "github-token", regex: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+  { id: "github-fine-grained-token", regex: /\bgithub_pat_[A-Za-z0-9_]{60,}\b/g },
+  { id: "stripe-secret-key", regex: /\b[rs]k_live_[0-9a-zA-Z]{24,}\b/g },
+  {
+    id: "openai-api-key",
+    regex: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}T3BlbkFJ[A-Za-z0-9_-]{20,}\b|\bsk-(?:proj|svcacct|admin)-[A-Za-z0-9_-]{40,}\b/g,
+  },
+  { id: "slack-token", regex: /\bxox[baprs]-[0-9A-Za-z-]{10,}\b/g },
+];
+
+// Files that hold keys whatever their content, binary ones included
+const FILE_RULES = [
+  {
+    id: "private-key-file",
+    regex: /(?:^|\/)id_(?:rsa|dsa|ecdsa|ed25519)$/,
+  },
+  { id: "private-key-file", regex: /\.(?:key|p12|pfx|jks|keystore)$/i },
+];
+
+// Blobs are scanned a chunk at a time. Each chunk is scanned together with
+// the end of the one before it, so a secret across the boundary is found.
+const CHUNK_SIZE = 1024 * 1024;
+const CHUNK_OVERLAP = 16 * 1024;
+
+// Quoted or assigned values long enough to be keys
+const CANDIDATE = /(?:["'`]|[:=]\s*)([A-Za-z0-9+/_=-]{32,})(?=["'`]|\s|$)/g;
+const MIN_ENTROPY = 4.5;
+// Integrity hashes are random by design
+const ENTROPY_EXEMPT_FILES = [
+  "package-lock.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+];
+const INTEGRITY_HASH = /^sha\d+-/;
+
+function shannonEntropy(value) {
+  const counts = {};
+  for (const c of value) {
+    counts[c] = (counts[c] || 0) + 1;
+  }
+  return Object.values(counts).reduce((sum, n) => {
+    const p = n / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+function lineAt(content, index, from = 0) {
+  let line = 1;
+  for (let i = from; i < index; i++) {
+    if (content.charCodeAt(i) === 10) {
+      line++;
+    }
+  }
+  return line;
+}
+
+// Adds a match unless it overlaps one found earlier, so each secret is
+// reported (and redacted) once
+function addMatch(matches, match) {
+  const overlaps = matches.some(
+    (o) =>
+      match.index < o.index + o.length && o.index < match.index + match.length
+  );
+  if (!overlaps) {
+    matches.push(match);
+  }
+}
+
+function findMatches(filePath, content) {
+  const matches = [];
+
+  for (const rule of RULES) {
+    for (const m of content.matchAll(rule.regex)) {
+      addMatch(matches, {
+        rule: rule.id,
+        index: m.index,
+        length: m[0].length,
+      });
+    }
+  }
+
+  if (ENTROPY_EXEMPT_FILES.includes(filePath.split("/").pop())) {
+    return matches.sort((a, b) => a.index - b.index);
+  }
+
+  for (const m of content.matchAll(CANDIDATE)) {
+    const value = m[1];
+    // Paths, identifiers and the like are mostly low entropy
+    if (!INTEGRITY_HASH.test(value) && shannonEntropy(value) >= MIN_ENTROPY) {
+      addMatch(matches, {
+        rule: "high-entropy-string",
+        index: m.index + m[0].indexOf(value),
+        length: value.length,
+      });
+    }
+  }
+
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+// Findings ({ line, rule }) for one piece of text, without redacting it.
+export function findSecrets(filePath, content) {
+  return findMatches(filePath, content).map((m) => ({
+    line: lineAt(content, m.index),
+    rule: m.rule,
+  }));
+}
+
+function redact(content, matches) {
+  for (const m of [...matches].reverse()) {
+    content =
+      content.slice(0, m.index) +
+      `[REDACTED:${m.rule}]` +
+      content.slice(m.index + m.length);
+  }
+  return content;
+}
+
+// A blob's bytes: read from disk in chunks, or the base64 content of text
+// that was too large to inline
+async function* blobChunks(file) {
+  if (file.source) {
+    yield* fs.createReadStream(file.source, { highWaterMark: CHUNK_SIZE });
+  } else {
+    yield Buffer.from(file.content, "base64");
+  }
+}
+
+// Matches ({ rule, index, length, line }) in a blob, and the text encoding
+// of its content or null when it is binary. Binary content is read as
+// windows-1252, which keeps ASCII secrets (and PEM headers) intact.
+async function findBlobMatches(file) {
+  const matches = [];
+  let encoding;
+  let decoder;
+  let pending = "";
+  // Offset and line of `pending` within the whole content
+  let offset = 0;
+  let line = 1;
+
+  for await (const chunk of blobChunks(file)) {
+    if (!decoder) {
+      encoding = detectEncoding(chunk.subarray(0, 1024));
+      decoder = new TextDecoder(encoding || "windows-1252");
+    }
+
+    const text = pending + decoder.decode(chunk, { stream: true });
+    for (const m of findMatches(file.path, text)) {
+      addMatch(matches, {
+        ...m,
+        index: offset + m.index,
+        line: line + lineAt(text, m.index) - 1,
+      });
+    }
+
+    const keep = Math.max(text.length - CHUNK_OVERLAP, 0);
+    line += lineAt(text, keep) - 1;
+    offset += keep;
+    pending = text.slice(keep);
+  }
+
+  return { matches: matches.sort((a, b) => a.index - b.index), encoding };
+}
+
+// Scans one collected file. Resolves to { file, findings }, with a redacted
+// copy of the file or null when it has to be left out.
+async function scanFile(file, policy) {
+  const findings = FILE_RULES.filter((r) => r.regex.test(file.path)).map(
+    (r) => ({ path: file.path, line: null, rule: r.id })
+  );
+
+  // Submodules have no content here
+  if (file.content === undefined && !file.source) {
+    return { file, findings };
+  }
+
+  const blob = file.encoding === "base64";
+  const { matches, encoding } = blob
+    ? await findBlobMatches(file)
+    : { matches: findMatches(file.path, file.content), encoding: "utf-8" };
+  for (const m of matches) {
+    findings.push({
+      path: file.path,
+      line: blob ? m.line : lineAt(file.content, m.index),
+      rule: m.rule,
+    });
+  }
+
+  if (!findings.length || policy !== "redact") {
+    return { file, findings };
+  }
+
+  // Key files and binary content cannot be redacted in place
+  if (findings.some((f) => f.line === null) || encoding === null) {
+    for (const f of findings) {
+      f.removed = true;
+    }
+    return { file: null, findings };
+  }
+
+  if (!blob) {
+    return {
+      file: { ...file, content: redact(file.content, matches) },
+      findings,
+    };
+  }
+
+  // Redacted blobs are re-encoded as UTF-8 and no longer read from disk
+  const { source, sha, ...rest } = file;
+  const { text } = decodeText(
+    source
+      ? await fs.promises.readFile(source)
+      : Buffer.from(file.content, "base64"),
+    encoding
+  );
+  const content = redact(text, findMatches(file.path, text));
+  return {
+    file: {
+      ...rest,
+      content: Buffer.from(content, "utf-8").toString("base64"),
+      converted: [...(file.converted || []), "redacted"],
+    },
+    findings,
+  };
+}
+
+// Scans `files`, an array or an async iterable (like iterateFiles' walk, see
+// files.js), and resolves to { files, findings }. With the "redact" policy
+// `files` holds redacted copies, without the files that cannot be redacted
+// (key files and binary content, whose findings are marked `removed`);
+// otherwise the input files are returned unchanged. Findings from file names
+// have no `line`.
+export async function scanFiles(files, policy = "block") {
+  const findings = [];
+  const scanned = [];
+  for await (const file of files) {
+    const result = await scanFile(file, policy);
+    findings.push(...result.findings);
+    if (result.file) {
+      scanned.push(result.file);
+    }
+  }
+
+  return { files: scanned, findings };
+}
+
+export class SecretsFoundError extends Error {
+  constructor(findings) {
+    super(
+      `Push blocked: ${findings.length} potential secret(s) found in ${
+        new Set(findings.map((f) => f.path)).size
+      } file(s)`
+    );
+    this.name = "SecretsFoundError";
+    this.findings = findings;
+  }
+}
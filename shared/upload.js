@@ -0,0 +1,99 @@
+import "dotenv/config";
+import { actorOf } from "./audit.js";
+import {
+  AccessError,
+  accessErrorResponse,
+  authenticate,
+  authorizeUser,
+} from "./auth.js";
+import { resolveSourceDir, SourceDirError } from "./files.js";
+import { trackPush } from "./jobs.js";
+import {
+  createProvider,
+  getProviderToken,
+  MissingCredentialError,
+} from "./providers.js";
+import { pushDirectory } from "./push.js";
+import { enforceQuota, getQuota, quotaLimits } from "./quotas.js";
+
+// The handler of TreeUpload and TreeQueue: pushes a source directory to
+// GitHub synchronously as the authenticated user, recorded as a job. The
+// repository is reused when it already exists.
+export async function handleUpload(context, req) {
+  const params = { ...req.query, ...(req.body || {}) };
+
+  const helloTree = async () => {
+    const principal = await authenticate(req);
+    const username = params.userName || principal.username;
+    authorizeUser(principal, username);
+
+    const { owner, repoName, sourceDir: source } = params;
+    const sourceDir = resolveSourceDir(source);
+    await enforceQuota(principal, username, { sourceDir });
+
+    // The push is made with the user's own GitHub token
+    const provider = await createProvider({
+      token: await getProviderToken("github", username),
+      owner,
+      repo: repoName,
+    });
+    const limits = quotaLimits(await getQuota(username));
+    return trackPush(
+      {
+        principal,
+        username,
+        owner,
+        repoName,
+        branch: params.branch,
+        sourceDir: source,
+        requestedBy: actorOf(principal),
+      },
+      (onStage) =>
+        pushDirectory(provider, {
+          sourceDir,
+          branch: params.branch,
+          limits,
+          onStage,
+        })
+    );
+  };
+
+  const missing = ["owner", "repoName", "sourceDir"].filter((k) => !params[k]);
+  if (missing.length) {
+    return {
+      status: 400,
+      body: `${missing.join(", ")} ${missing.length > 1 ? "are" : "is"} required`,
+    };
+  }
+
+  try {
+    const response = await helloTree();
+    context.log("function called successfully");
+
+    return {
+      body: {
+        repoUrl: response.repoUrl,
+        commitSha: response.commitSha,
+        fileCount: response.fileCount,
+      },
+    };
+  } catch (error) {
+    if (error instanceof AccessError) {
+      return accessErrorResponse(error);
+    }
+    if (
+      error instanceof MissingCredentialError ||
+      error instanceof SourceDirError
+    ) {
+      return {
+        status: 400,
+        body: { error: error.message },
+      };
+    }
+    context.log("Error:", error);
+    return {
+      status: 500,
+      body: "Error occurred",
+    };
+  }
+}
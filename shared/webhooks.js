@@ -0,0 +1,256 @@
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import prisma from "./prisma.js";
+
+// Completion webhooks for push jobs. A job with a callback URL gets one POST
+// when it succeeds or is given up on (dead-lettered); retries in between are
+// not reported. Every delivery is logged as a WebhookDelivery row, and
+// failed attempts are retried with backoff by TreeWebhookRetry.
+//
+// Requests carry:
+//   x-tree-event       push.succeeded or push.failed
+//   x-tree-delivery    the delivery id, the same across retries
+//   x-tree-timestamp   unix seconds of this attempt
+//   x-tree-signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">,
+//                      keyed with WEBHOOK_SECRET
+// Receivers should recompute the signature and reject old timestamps.
+//
+// Callbacks only go to public addresses: hosts that resolve to loopback,
+// private, link-local or other internal ranges are refused, unless they are
+// listed in WEBHOOK_ALLOWED_HOSTS (comma-separated host names).
+
+// Seconds to wait before each retry; the last one repeats
+const RETRY_DELAYS = [60, 300, 1800, 7200, 21600];
+const TIMEOUT_MS = 10000;
+
+// Addresses no callback may go to. IPv4 addresses mapped into IPv6 are
+// checked against the IPv4 ranges.
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(address, prefix, "ipv6");
+}
+
+export class CallbackUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CallbackUrlError";
+  }
+}
+
+// Throws a CallbackUrlError for a callback URL that is not http(s) or whose
+// host resolves to an internal address. Every address the host resolves to
+// has to be public.
+export async function checkCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new CallbackUrlError(`Invalid callback URL: ${value}`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new CallbackUrlError("Callback URLs must be http or https");
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const allowed = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+  if (allowed.includes(host)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    // Possibly for the moment only, so the delivery is retried
+    throw new Error(`Callback host ${host} does not resolve`);
+  }
+  const blocked = addresses.find((a) =>
+    BLOCKED.check(a.address, net.isIPv6(a.address) ? "ipv6" : "ipv4")
+  );
+  if (blocked) {
+    throw new CallbackUrlError(
+      `${host} resolves to an internal address (${blocked.address})`
+    );
+  }
+}
+
+function maxAttempts() {
+  return Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+}
+
+export function signPayload(body, timestamp, secret) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+}
+
+function buildPayload(job) {
+  const succeeded = job.status === "succeeded";
+  return {
+    event: succeeded ? "push.succeeded" : "push.failed",
+    jobId: job.id,
+    status: job.status,
+    owner: job.owner,
+    repo: job.repo_name,
+    branch: job.branch,
+    repoUrl: job.repo_url,
+    commitSha: job.commit_sha,
+    pullRequestUrl: job.pull_request_url,
+    unchanged: job.stage === "unchanged",
+    files: {
+      total: job.file_count,
+      added: job.added_count,
+      modified: job.modified_count,
+      deleted: job.deleted_count,
+    },
+    attempts: job.attempts,
+    error: succeeded
+      ? null
+      : {
+          message: job.error,
+          reason: job.dead_letter_reason,
+          detail: job.error_detail,
+        },
+    finishedAt: job.finished_at,
+  };
+}
+
+// Makes one attempt and records its outcome on the delivery
+async function attemptDelivery(delivery) {
+  const secret = process.env.WEBHOOK_SECRET;
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let error = null;
+  let refused = false;
+  try {
+    if (!secret) {
+      throw new Error("WEBHOOK_SECRET is not configured");
+    }
+    await checkCallbackUrl(delivery.url);
+
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "tree-pusher-webhooks",
+        "x-tree-event": delivery.event,
+        "x-tree-delivery": delivery.id,
+        "x-tree-timestamp": String(timestamp),
+        "x-tree-signature": signPayload(body, timestamp, secret),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `Callback answered ${response.status}`;
+    }
+  } catch (e) {
+    error = e.message;
+    // A refused URL stays refused, so it is not retried
+    refused = e instanceof CallbackUrlError;
+  }
+
+  if (!error) {
+    return prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: "delivered",
+        attempts,
+        response_status: responseStatus,
+        error: null,
+        next_attempt_at: null,
+        delivered_at: new Date(),
+      },
+    });
+  }
+
+  const retry = !refused && attempts < maxAttempts();
+  const delay =
+    RETRY_DELAYS[Math.min(attempts - 1, RETRY_DELAYS.length - 1)] * 1000;
+
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: retry ? "pending" : "failed",
+      attempts,
+      response_status: responseStatus,
+      error,
+      next_attempt_at: retry ? new Date(Date.now() + delay) : null,
+    },
+  });
+}
+
+// Sends the completion webhook of a finished job, if it asked for one.
+// Resolves to the delivery, or null when there is nothing to send.
+export async function notifyJob(jobId) {
+  const job = await prisma.pushJob.findUnique({ where: { id: jobId } });
+  if (!job || !job.callback_url) {
+    return null;
+  }
+
+  const payload = buildPayload(job);
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      job_id: job.id,
+      url: job.callback_url,
+      event: payload.event,
+      payload,
+    },
+  });
+
+  return attemptDelivery(delivery);
+}
+
+// Retries the deliveries whose next attempt is due, oldest first
+export async function retryDueDeliveries({ limit = 50 } = {}) {
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: "pending", next_attempt_at: { lte: new Date() } },
+    orderBy: { next_attempt_at: "asc" },
+    take: limit,
+  });
+
+  const results = [];
+  for (const delivery of due) {
+    results.push(await attemptDelivery(delivery));
+  }
+  return results;
+}
+
+export async function listDeliveries(jobId) {
+  return prisma.webhookDelivery.findMany({
+    where: { job_id: jobId },
+    orderBy: { created_at: "desc" },
+  });
+}
@@ -0,0 +1,207 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import AdmZip from "adm-zip";
+
+const MAX_ZIP_ENTRIES = Number(process.env.ZIP_MAX_ENTRIES) || 10000;
+const MAX_ZIP_BYTES = Number(process.env.ZIP_MAX_BYTES) || 200 * 1024 * 1024;
+// Longest symlink target read from an archive
+const MAX_LINK_BYTES = 4096;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+export class InvalidArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidArchiveError";
+  }
+}
+
+// Unix permission bits, when the archive was made on a Unix system
+function unixMode(entry) {
+  return entry.attr >>> 16;
+}
+
+function isSymlink(entry) {
+  return (unixMode(entry) & 0o170000) === 0o120000;
+}
+
+// Inflates one entry a chunk at a time and throws as soon as more than
+// `budget` bytes come out, so an entry whose declared size lies (a zip bomb)
+// is stopped without being expanded. The CRC is checked at the end.
+async function* inflateEntry(entry, budget, limit) {
+  const { method, crc, encrypted } = entry.header;
+  if (encrypted) {
+    throw new InvalidArchiveError(
+      `Encrypted ZIP entries are not supported: ${entry.entryName}`
+    );
+  }
+  if (method !== STORED && method !== DEFLATED) {
+    throw new InvalidArchiveError(
+      `Unsupported compression method ${method}: ${entry.entryName}`
+    );
+  }
+
+  const source = Readable.from([entry.getCompressedData()]);
+  const chunks =
+    method === DEFLATED ? source.pipe(zlib.createInflateRaw()) : source;
+  let size = 0;
+  let checksum = 0;
+  try {
+    for await (const chunk of chunks) {
+      size += chunk.length;
+      if (size > budget) {
+        throw new InvalidArchiveError(
+          `ZIP archive expands past the ${limit} byte limit`
+        );
+      }
+      checksum = zlib.crc32(chunk, checksum);
+      yield chunk;
+    }
+  } catch (error) {
+    if (error instanceof InvalidArchiveError) {
+      throw error;
+    }
+    throw new InvalidArchiveError(
+      `Invalid ZIP entry ${entry.entryName}: ${error.message}`
+    );
+  }
+
+  if (checksum !== crc) {
+    throw new InvalidArchiveError(
+      `ZIP entry ${entry.entryName} is corrupt (CRC mismatch)`
+    );
+  }
+}
+
+// Returns "name/" when every entry lives under the same top-level folder, so
+// archives made by zipping a project folder land at the repository root.
+function getCommonRoot(names) {
+  const first = names[0].split("/")[0];
+  if (!first || first === "." || first === "..") {
+    return "";
+  }
+
+  const prefix = `${first}/`;
+  return names.every((name) => name.startsWith(prefix)) ? prefix : "";
+}
+
+// Extracts a ZIP buffer into a fresh temporary directory and resolves to its
+// path. Entries that would land outside of that directory (zip-slip) and
+// archives over the entry-count or uncompressed-size limits are rejected;
+// `maxBytes` lowers the size limit (to a user's quota, say). Entries are
+// streamed to disk, so the limit holds however well they compress.
+// Executable bits and empty directories are kept; symlinks are recreated
+// only after every regular file is written, so no entry can be extracted
+// through one.
+export async function extractZip(buffer, { maxBytes } = {}) {
+  const limit = Math.min(maxBytes || MAX_ZIP_BYTES, MAX_ZIP_BYTES);
+
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new InvalidArchiveError(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  const entries = zip.getEntries();
+  if (!entries.length) {
+    throw new InvalidArchiveError("ZIP archive is empty");
+  }
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new InvalidArchiveError(
+      `ZIP archive has ${entries.length} entries (limit ${MAX_ZIP_ENTRIES})`
+    );
+  }
+
+  const declaredSize = entries.reduce((sum, e) => sum + e.header.size, 0);
+  if (declaredSize > limit) {
+    throw new InvalidArchiveError(
+      `ZIP archive expands to ${declaredSize} bytes (limit ${limit})`
+    );
+  }
+
+  const names = entries.map((e) => e.entryName.replace(/\\/g, "/"));
+  const commonRoot = getCommonRoot(names);
+  const destDir = fs.mkdtempSync(path.join(os.tmpdir(), "treezip-"));
+  const symlinks = [];
+  let written = 0;
+
+  try {
+    for (const [i, entry] of entries.entries()) {
+      const name = names[i].slice(commonRoot.length);
+      if (!name) {
+        continue;
+      }
+
+      const target = path.resolve(destDir, name);
+      if (!target.startsWith(destDir + path.sep)) {
+        throw new InvalidArchiveError(`Illegal path in ZIP archive: ${name}`);
+      }
+
+      if (entry.isDirectory) {
+        fs.mkdirSync(target, { recursive: true });
+        continue;
+      }
+
+      if (isSymlink(entry)) {
+        const chunks = [];
+        for await (const chunk of inflateEntry(
+          entry,
+          MAX_LINK_BYTES,
+          MAX_LINK_BYTES
+        )) {
+          chunks.push(chunk);
+        }
+        const link = Buffer.concat(chunks).toString("utf-8");
+        symlinks.push({ target, link });
+        continue;
+      }
+
+      // Declared sizes can lie, so count what actually gets inflated
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      let size = 0;
+      await pipeline(
+        async function* () {
+          for await (const chunk of inflateEntry(
+            entry,
+            limit - written,
+            limit
+          )) {
+            size += chunk.length;
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(target)
+      );
+      written += size;
+      if (unixMode(entry) & 0o111) {
+        fs.chmodSync(target, 0o755);
+      }
+    }
+
+    // A link must not be created through another link either
+    const realDest = fs.realpathSync(destDir);
+    for (const { target, link } of symlinks) {
+      try {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        const parent = fs.realpathSync(path.dirname(target));
+        if (parent !== realDest && !parent.startsWith(realDest + path.sep)) {
+          throw new Error("parent directory is a symlink");
+        }
+        fs.symlinkSync(link, target);
+      } catch (error) {
+        console.warn(`Skipping symlink in archive: ${target}`, error.message);
+      }
+    }
+  } catch (error) {
+    fs.rmSync(destDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return destDir;
+}
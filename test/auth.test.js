@@ -0,0 +1,206 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, beforeEach, test } from "node:test";
+import prisma from "./prisma.js";
+
+const { AccessError, authenticate, createApiKey } = await import(
+  "../shared/auth.js"
+);
+
+process.env.JWT_SECRET = "jwt-secret";
+process.env.ADMIN_API_KEY = "admin-key";
+after(() => {
+  delete process.env.JWT_SECRET;
+  delete process.env.ADMIN_API_KEY;
+});
+
+function sign(claims, { secret = "jwt-secret", alg = "HS256" } = {}) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg, typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(unsigned)
+    .digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+function bearer(token) {
+  return { headers: { authorization: `Bearer ${token}` } };
+}
+
+function inAnHour() {
+  return Math.floor(Date.now() / 1000) + 3600;
+}
+
+function rejectsWith(promise, status, reason) {
+  return assert.rejects(
+    promise,
+    (error) =>
+      error instanceof AccessError &&
+      error.status === status &&
+      error.reason === reason
+  );
+}
+
+let users;
+let keys;
+
+beforeEach(() => {
+  users = [{ id: 1, username: "octo" }];
+  keys = [];
+  prisma.github = {
+    findUnique: async ({ where }) =>
+      users.find((u) => u.username === where.username) || null,
+    upsert: async ({ where }) =>
+      users.find((u) => u.username === where.username),
+  };
+  prisma.apiKey = {
+    create: async ({ data }) => {
+      const record = { id: keys.length + 1, revoked_at: null, ...data };
+      keys.push(record);
+      return record;
+    },
+    findUnique: async ({ where }) => {
+      const record = keys.find((k) => k.key_hash === where.key_hash);
+      return record
+        ? {
+            ...record,
+            github_user: users.find((u) => u.id === record.github_user_id),
+          }
+        : null;
+    },
+    update: async ({ where, data }) =>
+      Object.assign(keys.find((k) => k.id === where.id), data),
+  };
+});
+
+test("signed tokens authenticate their subject", async () => {
+  const principal = await authenticate(
+    bearer(sign({ sub: "octo", exp: inAnHour() }))
+  );
+  assert.deepEqual(principal, {
+    username: "octo",
+    method: "jwt",
+    admin: false,
+  });
+});
+
+test("badly signed tokens and tokens without expiry are rejected", async () => {
+  const claims = { sub: "octo", exp: inAnHour() };
+  await rejectsWith(
+    authenticate(bearer(sign(claims, { secret: "other" }))),
+    401,
+    "invalid-token"
+  );
+  await rejectsWith(
+    authenticate(bearer(sign(claims, { alg: "none" }))),
+    401,
+    "invalid-token"
+  );
+  await rejectsWith(
+    authenticate(bearer(sign({ sub: "octo" }))),
+    401,
+    "invalid-token"
+  );
+  await rejectsWith(authenticate(bearer("not.a-token")), 401, "invalid-token");
+});
+
+test("expired tokens are rejected after the allowed clock skew", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await authenticate(bearer(sign({ sub: "octo", exp: now - 30 })));
+  await rejectsWith(
+    authenticate(bearer(sign({ sub: "octo", exp: now - 120 }))),
+    401,
+    "expired-token"
+  );
+});
+
+test("issuer and audience are checked when configured", async (t) => {
+  process.env.JWT_ISSUER = "https://issuer.example";
+  process.env.JWT_AUDIENCE = "tree-pusher";
+  t.after(() => {
+    delete process.env.JWT_ISSUER;
+    delete process.env.JWT_AUDIENCE;
+  });
+  const claims = { sub: "octo", exp: inAnHour() };
+
+  await authenticate(
+    bearer(
+      sign({
+        ...claims,
+        iss: "https://issuer.example",
+        aud: ["other", "tree-pusher"],
+      })
+    )
+  );
+  await rejectsWith(
+    authenticate(
+      bearer(
+        sign({ ...claims, iss: "https://evil.example", aud: "tree-pusher" })
+      )
+    ),
+    401,
+    "invalid-token"
+  );
+  await rejectsWith(
+    authenticate(
+      bearer(sign({ ...claims, iss: "https://issuer.example", aud: "other" }))
+    ),
+    401,
+    "invalid-token"
+  );
+});
+
+test("tokens for unregistered users are forbidden", async () => {
+  await rejectsWith(
+    authenticate(bearer(sign({ sub: "ghost", exp: inAnHour() }))),
+    403,
+    "unknown-user"
+  );
+});
+
+test("issued API keys authenticate until they are revoked", async () => {
+  const { key, prefix } = await createApiKey("octo", "ci");
+  assert.match(key, /^tp_/);
+  assert.equal(key.slice(0, 10), prefix);
+  assert.notEqual(keys[0].key_hash, key);
+
+  const principal = await authenticate({ headers: { "x-api-key": key } });
+  assert.deepEqual(principal, {
+    username: "octo",
+    method: "api-key",
+    keyId: 1,
+    admin: false,
+  });
+  assert.ok(keys[0].last_used_at instanceof Date);
+  assert.equal((await authenticate(bearer(key))).method, "api-key");
+
+  keys[0].revoked_at = new Date();
+  await rejectsWith(
+    authenticate({ headers: { "x-api-key": key } }),
+    401,
+    "revoked-api-key"
+  );
+});
+
+test("unknown API keys and missing credentials are rejected", async () => {
+  await rejectsWith(
+    authenticate({ headers: { "x-api-key": "tp_unknown" } }),
+    401,
+    "invalid-api-key"
+  );
+  await rejectsWith(authenticate({ headers: {} }), 401, "missing-credentials");
+});
+
+test("the admin key acts for any user", async () => {
+  assert.deepEqual(
+    await authenticate({ headers: { "x-admin-key": "admin-key" } }),
+    { username: null, method: "admin", admin: true }
+  );
+  await rejectsWith(
+    authenticate({ headers: { "x-admin-key": "wrong" } }),
+    401,
+    "missing-credentials"
+  );
+});
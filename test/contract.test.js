@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { readPushJob } from "../shared/contract.js";
+
+const V1 = { owner: "octo", repoName: "site", sourceDir: "apps/site" };
+
+test("version 1 messages are upgraded to the current version", () => {
+  const { version, job, errors } = readPushJob({
+    ...V1,
+    branch: "main",
+    repository: { description: "Site", topics: ["web"] },
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(version, 1);
+  assert.equal(job.version, 2);
+  assert.equal(job.user, "octo");
+  assert.deepEqual(job.source, { dir: "apps/site" });
+  assert.equal(job.repository.description, "Site");
+});
+
+test("version 1 refuses fields added in later versions", () => {
+  const { errors } = readPushJob({
+    ...V1,
+    mappings: [{ from: "apps/site" }],
+    secretPolicy: "warn",
+  });
+
+  assert.deepEqual(errors, [
+    { field: "/mappings", message: "is only supported from version 2" },
+    { field: "/secretPolicy", message: "is only supported from version 2" },
+  ]);
+});
+
+// Version 1 takes any repository object; its settings are checked as the
+// version 2 job it is upgraded to
+test("version 1 repository settings are checked after upgrading", () => {
+  const { errors } = readPushJob({
+    ...V1,
+    repository: { visibility: "secret", template: "no-slash", extra: 1 },
+  });
+
+  assert.deepEqual(
+    errors.map((e) => e.field).sort(),
+    ["/repository/extra", "/repository/template", "/repository/visibility"]
+  );
+  for (const error of errors) {
+    assert.match(error.message, /\(after upgrading to version 2\)$/);
+  }
+});
+
+test("version 2 mappings with overlapping targets are refused", () => {
+  const { errors } = readPushJob({
+    version: 2,
+    user: "octo",
+    source: {
+      dir: ".",
+      mappings: [
+        { from: "web", to: "app" },
+        { from: "api", to: "app/api" },
+      ],
+    },
+    target: { owner: "octo", repo: "site" },
+  });
+
+  assert.deepEqual(
+    errors.map((e) => e.field),
+    ["/source/mappings/1/to"]
+  );
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { CronError, nextRun, parseCron } from "../shared/cron.js";
+
+const at = (iso) => new Date(iso);
+
+test("fields take lists, ranges and steps", () => {
+  const cron = parseCron("*/15 9-17 1,15 * 1-5");
+
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.equal(cron.months.size, 12);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, false);
+  assert.equal(cron.anyWeekday, false);
+
+  assert.deepEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+  assert.deepEqual([...parseCron("0-30/10 * * * *").minutes], [0, 10, 20, 30]);
+});
+
+test("day of week 7 is Sunday", () => {
+  assert.ok(parseCron("0 0 * * 7").weekdays.has(0));
+});
+
+test("invalid expressions are refused", () => {
+  for (const expression of [
+    "* * * *",
+    "* * * * * *",
+    "60 * * * *",
+    "* 24 * * *",
+    "* * 0 * *",
+    "* * * 13 *",
+    "* * * * 8",
+    "5-1 * * * *",
+    "*/0 * * * *",
+    "a * * * *",
+    "1,,2 * * * *",
+  ]) {
+    assert.throws(() => parseCron(expression), CronError, expression);
+  }
+});
+
+test("the next run is the first due minute after the given time", () => {
+  const from = at("2026-10-19T10:07:30Z");
+
+  assert.deepEqual(nextRun("* * * * *", from), at("2026-10-19T10:08:00Z"));
+  assert.deepEqual(nextRun("*/15 * * * *", from), at("2026-10-19T10:15:00Z"));
+  assert.deepEqual(nextRun("0 9 * * *", from), at("2026-10-20T09:00:00Z"));
+  assert.deepEqual(nextRun("30 2 1 * *", from), at("2026-11-01T02:30:00Z"));
+  assert.deepEqual(nextRun("0 0 1 1 *", from), at("2027-01-01T00:00:00Z"));
+  // 2026-10-19 is a Monday
+  assert.deepEqual(nextRun("0 12 * * 0", from), at("2026-10-25T12:00:00Z"));
+  // A time that is due right now is not due again until next time
+  assert.deepEqual(
+    nextRun("7 10 * * *", at("2026-10-19T10:07:00Z")),
+    at("2026-10-20T10:07:00Z")
+  );
+});
+
+test("restricted days are due on either day field", () => {
+  // The 13th, or any Friday
+  const from = at("2026-10-19T00:00:00Z");
+  assert.deepEqual(nextRun("0 0 13 * 5", from), at("2026-10-23T00:00:00Z"));
+  assert.deepEqual(
+    nextRun("0 0 13 * 5", at("2026-11-10T00:00:00Z")),
+    at("2026-11-13T00:00:00Z")
+  );
+});
+
+test("expressions that are never due have no next run", () => {
+  assert.equal(nextRun("0 0 30 2 *", at("2026-10-19T00:00:00Z")), null);
+  assert.ok(nextRun("0 0 29 2 *", at("2026-10-19T00:00:00Z")));
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { afterEach, test } from "node:test";
+import {
+  currentKeyId,
+  decryptSecret,
+  encryptSecret,
+  rewrapSecret,
+} from "../shared/envelope.js";
+
+const OLD_KEY = crypto.randomBytes(32).toString("base64");
+const NEW_KEY = crypto.randomBytes(32).toString("base64");
+
+function useKeys(keys, keyId) {
+  process.env.CREDENTIAL_KEYS = keys;
+  if (keyId) {
+    process.env.CREDENTIAL_KEY_ID = keyId;
+  } else {
+    delete process.env.CREDENTIAL_KEY_ID;
+  }
+}
+
+afterEach(() => {
+  delete process.env.CREDENTIAL_KEYS;
+  delete process.env.CREDENTIAL_KEY_ID;
+});
+
+// Flips one bit of a base64 field of the envelope
+function tamper(envelope, field, offset) {
+  const parsed = JSON.parse(envelope);
+  const bytes = Buffer.from(parsed[field], "base64");
+  bytes[offset] ^= 1;
+  return JSON.stringify({ ...parsed, [field]: bytes.toString("base64") });
+}
+
+test("secrets round-trip without the plaintext in the envelope", () => {
+  useKeys(`old:${OLD_KEY}`);
+  const { keyId, envelope } = encryptSecret("ghp_secret-token");
+
+  assert.equal(keyId, "old");
+  assert.equal(JSON.parse(envelope).kid, "old");
+  assert.doesNotMatch(envelope, /ghp_secret-token/);
+  assert.equal(decryptSecret(envelope), "ghp_secret-token");
+  assert.notEqual(encryptSecret("ghp_secret-token").envelope, envelope);
+});
+
+test("tampered envelopes are rejected", () => {
+  useKeys(`old:${OLD_KEY}`);
+  const { envelope } = encryptSecret("ghp_secret-token");
+
+  // Sealed values are a 12-byte IV, a 16-byte tag and the ciphertext
+  assert.throws(() => decryptSecret(tamper(envelope, "data", 30)));
+  assert.throws(() => decryptSecret(tamper(envelope, "data", 14)));
+  assert.throws(() => decryptSecret(tamper(envelope, "key", 30)));
+});
+
+test("secrets need the master key they were wrapped with", () => {
+  useKeys(`old:${OLD_KEY}`);
+  const { envelope } = encryptSecret("ghp_secret-token");
+
+  useKeys(`new:${NEW_KEY}`);
+  assert.throws(() => decryptSecret(envelope), /old is no longer configured/);
+
+  // A different key under the same id
+  useKeys(`old:${NEW_KEY}`);
+  assert.throws(() => decryptSecret(envelope));
+});
+
+test("rewrapping moves a secret to the current key", () => {
+  useKeys(`old:${OLD_KEY}`);
+  const { envelope } = encryptSecret("ghp_secret-token");
+
+  useKeys(`old:${OLD_KEY},new:${NEW_KEY}`, "new");
+  assert.equal(currentKeyId(), "new");
+  const rewrapped = rewrapSecret(envelope);
+  assert.equal(rewrapped.keyId, "new");
+  assert.equal(JSON.parse(rewrapped.envelope).data, JSON.parse(envelope).data);
+  assert.deepEqual(rewrapSecret(rewrapped.envelope), rewrapped);
+
+  useKeys(`new:${NEW_KEY}`);
+  assert.equal(decryptSecret(rewrapped.envelope), "ghp_secret-token");
+});
+
+test("master keys must be configured and 32 bytes", () => {
+  useKeys("");
+  assert.throws(() => encryptSecret("x"), /CREDENTIAL_KEYS is not configured/);
+  useKeys(`short:${Buffer.alloc(16).toString("base64")}`);
+  assert.throws(() => encryptSecret("x"), /must be 32 bytes/);
+  useKeys(`old:${OLD_KEY}`, "missing");
+  assert.throws(() => encryptSecret("x"), /missing is not in CREDENTIAL_KEYS/);
+});
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { collectFiles } from "../shared/files.js";
+import { createIgnoreRules } from "../shared/ignore.js";
+import { createSource } from "./helpers.js";
+
+async function collect(dir, options = {}) {
+  const files = await collectFiles(dir, createIgnoreRules(), options);
+  return new Map(files.map((f) => [f.path, f]));
+}
+
+test("text attributes apply to files of any name", async () => {
+  const files = await collect(
+    createSource({
+      ".gitattributes": "*.gradle text eol=lf\r\n",
+      "build.gradle": "plugins {\r\n  id 'java'\r\n}\r\n",
+    })
+  );
+
+  assert.equal(
+    files.get("build.gradle").content,
+    "plugins {\n  id 'java'\n}\n"
+  );
+  assert.deepEqual(files.get("build.gradle").converted, ["crlf to lf"]);
+  assert.equal(files.get(".gitattributes").encoding, undefined);
+  assert.equal(files.get(".gitattributes").content, "*.gradle text eol=lf\r\n");
+});
+
+test("binary and -text attributes win over text names", async () => {
+  const files = await collect(
+    createSource({
+      ".gitattributes": "*.snap binary\nfixtures/*.txt -text\n",
+      "ui.snap": "exports[`a`] = 1;\r\n",
+      "fixtures/crlf.txt": "kept\r\n",
+      "notes.txt": "plain\n",
+    }),
+    { normalizeEol: true }
+  );
+
+  assert.equal(files.get("ui.snap").reason, "binary-attribute");
+  assert.equal(files.get("fixtures/crlf.txt").reason, "text-attribute");
+  assert.equal(files.get("fixtures/crlf.txt").encoding, "base64");
+  assert.equal(files.get("notes.txt").content, "plain\n");
+});
+
+test("files of unknown names without attributes are sniffed", async () => {
+  const files = await collect(
+    createSource({
+      "Jenkinsfile.groovy": "pipeline {}\n",
+      "logo.png": Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0x0d]),
+      "latin1.dat": Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x0a]),
+    })
+  );
+
+  assert.equal(files.get("Jenkinsfile.groovy").content, "pipeline {}\n");
+  assert.equal(files.get("logo.png").reason, "binary");
+  assert.equal(files.get("latin1.dat").reason, "not-text");
+});
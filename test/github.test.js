@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import http from "http";
+import { test } from "node:test";
+import { Octokit } from "@octokit/rest";
+import { createGithubProvider } from "../shared/github.js";
+import { RefConflictError } from "../shared/push.js";
+
+// A GitHub API that creates trees and commits and answers ref updates with
+// `refResponse` ([status, body])
+async function fakeGithub(refResponse) {
+  const server = http.createServer(async (req, res) => {
+    await new Promise((resolve) => req.resume().on("end", resolve));
+    const [status, body] = req.url.includes("/git/refs")
+      ? refResponse
+      : [201, { sha: "c".repeat(40) }];
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const octokit = new Octokit({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+  });
+  const provider = createGithubProvider(octokit, {
+    owner: "octo",
+    repo: "site",
+  });
+  return { provider, close: () => server.close() };
+}
+
+const commitOptions = {
+  branch: "main",
+  branchExists: true,
+  parentSha: "a".repeat(40),
+  files: [{ path: "README.md", content: "hello\n" }],
+  deleted: [],
+  replace: true,
+  message: "Update",
+};
+
+test("refs that moved or appeared meanwhile are ref conflicts", async () => {
+  for (const message of [
+    "Update is not a fast forward",
+    "Reference already exists",
+  ]) {
+    const github = await fakeGithub([422, { message }]);
+    try {
+      await assert.rejects(
+        github.provider.commit(commitOptions),
+        RefConflictError,
+        message
+      );
+    } finally {
+      github.close();
+    }
+  }
+});
+
+test("other ref update failures are not retried as conflicts", async () => {
+  for (const [status, message] of [
+    [409, "Git Repository is empty."],
+    [422, "Object does not exist"],
+  ]) {
+    const github = await fakeGithub([status, { message }]);
+    try {
+      await assert.rejects(
+        github.provider.commit(commitOptions),
+        (error) =>
+          !(error instanceof RefConflictError) && error.status === status
+      );
+    } finally {
+      github.close();
+    }
+  }
+});
@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { test } from "node:test";
+import { createGitlabProvider } from "../shared/gitlab.js";
+import { RefConflictError } from "../shared/push.js";
+import { tempDir } from "./helpers.js";
+
+// A GitLab API that answers with `routes` ("METHOD /path" -> [status, body])
+// and records the requests it gets, and the bodies sent with them
+async function fakeGitlab(routes) {
+  const requests = [];
+  const bodies = {};
+  const server = http.createServer(async (req, res) => {
+    const route = `${req.method} ${new URL(req.url, "http://x").pathname}`;
+    requests.push(route);
+    let text = "";
+    for await (const chunk of req) {
+      text += chunk;
+    }
+    if (text) {
+      bodies[route] = JSON.parse(text);
+    }
+    const [status, body] = routes[route] || [404, { message: "404 Not Found" }];
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const provider = createGitlabProvider({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    token: "token",
+    owner: "group",
+    repo: "project",
+  });
+  return { provider, requests, bodies, close: () => server.close() };
+}
+
+const PROJECT = "/api/v4/projects/group%2Fproject";
+const PARENT = "a".repeat(40);
+const commitOptions = {
+  branch: "main",
+  branchExists: true,
+  parentSha: PARENT,
+  files: [{ path: "README.md", content: "hello\n" }],
+  deleted: [],
+  replace: false,
+  message: "Update",
+};
+
+test("commits are refused when the branch moved from the parent", async () => {
+  const gitlab = await fakeGitlab({
+    [`GET ${PROJECT}/repository/tree`]: [200, []],
+    [`GET ${PROJECT}/repository/branches/main`]: [
+      200,
+      { commit: { id: "b".repeat(40) } },
+    ],
+  });
+  try {
+    await assert.rejects(
+      gitlab.provider.commit(commitOptions),
+      RefConflictError
+    );
+    assert.ok(!gitlab.requests.includes(`POST ${PROJECT}/repository/commits`));
+  } finally {
+    gitlab.close();
+  }
+});
+
+test("files changed since the parent are a ref conflict", async () => {
+  const gitlab = await fakeGitlab({
+    [`GET ${PROJECT}/repository/tree`]: [200, []],
+    [`GET ${PROJECT}/repository/branches/main`]: [
+      200,
+      { commit: { id: PARENT } },
+    ],
+    [`POST ${PROJECT}/repository/commits`]: [
+      400,
+      {
+        message:
+          "The file has changed since you started editing it: README.md",
+      },
+    ],
+  });
+  try {
+    await assert.rejects(
+      gitlab.provider.commit(commitOptions),
+      RefConflictError
+    );
+  } finally {
+    gitlab.close();
+  }
+});
+
+test("blobs are streamed from disk into the commit", async () => {
+  // Several read chunks, and a length that is not a multiple of three
+  const data = Buffer.alloc(200 * 1024 + 1);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (i * 7) % 256;
+  }
+  const source = path.join(tempDir("blob"), "image.bin");
+  fs.writeFileSync(source, data);
+
+  const gitlab = await fakeGitlab({
+    [`GET ${PROJECT}/repository/tree`]: [200, []],
+    [`GET ${PROJECT}/repository/branches/main`]: [
+      200,
+      { commit: { id: PARENT } },
+    ],
+    [`POST ${PROJECT}/repository/commits`]: [201, { id: "c".repeat(40) }],
+  });
+  try {
+    await gitlab.provider.commit({
+      ...commitOptions,
+      files: [
+        ...commitOptions.files,
+        {
+          path: "image.bin",
+          encoding: "base64",
+          source,
+          sha: "d".repeat(40),
+        },
+      ],
+    });
+
+    const { actions } = gitlab.bodies[`POST ${PROJECT}/repository/commits`];
+    const blob = actions.find((a) => a.file_path === "image.bin");
+    assert.equal(blob.encoding, "base64");
+    assert.equal(blob.content, data.toString("base64"));
+    assert.equal(
+      actions.find((a) => a.file_path === "README.md").content,
+      "hello\n"
+    );
+  } finally {
+    gitlab.close();
+  }
+});
@@ -0,0 +1,46 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import { after } from "node:test";
+import os from "os";
+import path from "path";
+
+const tempDirs = [];
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// A new empty directory, removed when the test file is done
+export function tempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  tempDirs.push(dir);
+  return dir;
+}
+
+// A directory holding `files` (path -> content)
+export function createSource(files) {
+  const dir = tempDir("source");
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+export function git(cwd, ...args) {
+  return execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    { cwd, encoding: "utf-8" }
+  ).trim();
+}
+
+// A git repository with one commit of `files` (path -> content)
+export function createRepo(files, branch = "main") {
+  const dir = createSource(files);
+  git(dir, "init", "--quiet", "-b", branch);
+  git(dir, "add", "-A");
+  git(dir, "commit", "--quiet", "-m", "initial");
+  return dir;
+}
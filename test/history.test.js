@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import { createGitRemoteProvider } from "../shared/gitremote.js";
+import { pushHistory } from "../shared/history.js";
+import { createRepo, git, tempDir } from "./helpers.js";
+
+// A source repository that runs `hook` on pre-push, both from its own hooks
+// directory and from one its config points at
+function withHooks(source, marker) {
+  const hook = `#!/bin/sh\necho ran > "${marker}"\n`;
+  for (const dir of [".git/hooks", "evil-hooks"]) {
+    fs.mkdirSync(path.join(source, dir), { recursive: true });
+    fs.writeFileSync(path.join(source, dir, "pre-push"), hook, {
+      mode: 0o755,
+    });
+  }
+  git(source, "config", "core.hooksPath", path.join(source, "evil-hooks"));
+}
+
+for (const mode of ["branch", "all", "squash"]) {
+  test(`${mode} history pushes do not run the source's hooks`, async () => {
+    const source = createRepo({ "README.md": "hello\n" });
+    const marker = path.join(tempDir("marker"), "ran");
+    withHooks(source, marker);
+
+    const remotes = tempDir("remotes");
+    const provider = createGitRemoteProvider({
+      url: path.join(remotes, "{repo}.git"),
+      owner: "o",
+      repo: "r",
+    });
+    try {
+      const result = await pushHistory(provider, {
+        sourceDir: source,
+        history: { mode },
+        onStage: async () => {},
+      });
+      assert.equal(result.branch, "main");
+    } finally {
+      provider.close();
+    }
+
+    assert.equal(fs.existsSync(marker), false);
+    const pushed = git(remotes, "--git-dir", "r.git", "ls-tree", "main");
+    assert.match(pushed, /README\.md/);
+  });
+}
+
+test("history pushes refuse a .git that is not a directory", async () => {
+  const source = tempDir("source");
+  fs.writeFileSync(path.join(source, ".git"), "gitdir: /etc\n");
+
+  await assert.rejects(
+    pushHistory(null, { sourceDir: source, history: { mode: "all" } }),
+    /not a git repository/
+  );
+});
@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { collectFiles } from "../shared/files.js";
+import { createIgnoreRules, matchIgnore } from "../shared/ignore.js";
+import { createSource } from "./helpers.js";
+
+test("patterns with invalid ranges match nothing", () => {
+  const rules = createIgnoreRules({ ignore: ["[z-a].txt", "*.log"] });
+
+  assert.equal(matchIgnore(rules, "a.txt", false), null);
+  assert.equal(matchIgnore(rules, "[z-a].txt", false), null);
+  assert.equal(matchIgnore(rules, "logs/debug.log", false).pattern, "*.log");
+});
+
+test("ignore files with invalid ranges do not stop a walk", async () => {
+  const dir = createSource({
+    ".gitignore": "[9-0]*\n*.tmp\n",
+    "5.js": "five\n",
+    "scratch.tmp": "tmp\n",
+  });
+
+  const files = await collectFiles(dir, createIgnoreRules());
+  assert.deepEqual(files.map((f) => f.path).sort(), [".gitignore", "5.js"]);
+});
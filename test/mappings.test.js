@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import { collectFiles } from "../shared/files.js";
+import { createIgnoreRules } from "../shared/ignore.js";
+import { checkMappings, MappingError } from "../shared/mappings.js";
+import { createSource } from "./helpers.js";
+
+async function collectPaths(dir, mappings) {
+  const files = await collectFiles(dir, createIgnoreRules(), { mappings });
+  return files.map((f) => f.path).sort();
+}
+
+test("equal and nested targets overlap", () => {
+  const { errors } = checkMappings(
+    [
+      { from: "apps/web", to: "web" },
+      { from: "apps/admin", to: "web/" },
+      { from: "libs/ui", to: "web/ui" },
+      { from: "docs" },
+      { from: "libs/core", to: "core" },
+    ],
+    "/mappings"
+  );
+
+  assert.deepEqual(errors, [
+    {
+      field: "/mappings/1/to",
+      message: "overlaps the target of mapping 0 (web)",
+    },
+    {
+      field: "/mappings/2/to",
+      message: "overlaps the target of mapping 0 (web)",
+    },
+    {
+      field: "/mappings/2/to",
+      message: "overlaps the target of mapping 1 (web)",
+    },
+    {
+      field: "/mappings/3/to",
+      message: "overlaps the target of mapping 0 (web)",
+    },
+    {
+      field: "/mappings/3/to",
+      message: "overlaps the target of mapping 1 (web)",
+    },
+    {
+      field: "/mappings/3/to",
+      message: "overlaps the target of mapping 2 (web/ui)",
+    },
+    {
+      field: "/mappings/4/to",
+      message: "overlaps the target of mapping 3 (the root)",
+    },
+  ]);
+});
+
+test("targets sharing a parent directory do not overlap", () => {
+  const { mappings, errors } = checkMappings([
+    { from: "./apps/web/", to: "packages/web" },
+    { from: "apps\\web-admin", to: "packages/web-admin" },
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(mappings, [
+    { from: "apps/web", to: "packages/web" },
+    { from: "apps/web-admin", to: "packages/web-admin" },
+  ]);
+});
+
+test("mapped directories are collected at nested targets", async () => {
+  const dir = createSource({
+    ".gitignore": "*.log\n",
+    "apps/web/index.js": "web\n",
+    "apps/web/debug.log": "ignored\n",
+    "apps/web/src/app.js": "app\n",
+    "apps/api/server.js": "api\n",
+    "README.md": "readme\n",
+  });
+
+  assert.deepEqual(
+    await collectPaths(dir, [
+      { from: "apps/web", to: "packages/client/web" },
+      { from: "apps/api", to: "packages/server" },
+    ]),
+    [
+      "packages/client/web/index.js",
+      "packages/client/web/src/app.js",
+      "packages/server/server.js",
+    ]
+  );
+});
+
+test("a mapped directory may also sit inside another one", async () => {
+  const dir = createSource({
+    "site/index.html": "<html></html>\n",
+    "site/blog/post.md": "post\n",
+  });
+
+  // The same files twice, under targets that do not overlap
+  assert.deepEqual(
+    await collectPaths(dir, [
+      { from: "site/blog", to: "blog" },
+      { from: "site", to: "www" },
+    ]),
+    ["blog/post.md", "www/blog/post.md", "www/index.html"]
+  );
+});
+
+test("overlapping targets are refused before anything is walked", async () => {
+  const dir = createSource({ "a/one.txt": "1\n", "b/two.txt": "2\n" });
+
+  await assert.rejects(
+    collectPaths(dir, [
+      { from: "a", to: "lib" },
+      { from: "b", to: "lib/b" },
+    ]),
+    (error) =>
+      error instanceof MappingError &&
+      error.errors[0].field === "/mappings/1/to"
+  );
+});
+
+test("mappings do not follow symlinks out of the source", async () => {
+  const outside = createSource({ "creds.txt": "secret\n" });
+  const dir = createSource({ "app/index.js": "app\n" });
+  fs.symlinkSync(outside, path.join(dir, "link"));
+  fs.symlinkSync(path.join(dir, "app"), path.join(dir, "alias"));
+
+  for (const from of ["link", "link/", "alias"]) {
+    await assert.rejects(
+      collectPaths(dir, [{ from, to: "x" }]),
+      (error) =>
+        error instanceof MappingError &&
+        error.errors[0].field === "/mappings/0/from"
+    );
+  }
+
+  const { errors } = checkMappings(
+    [
+      { from: "app", to: "app" },
+      { from: "link", to: "x" },
+      { from: "missing", to: "y" },
+    ],
+    "/mappings",
+    dir
+  );
+  assert.deepEqual(
+    errors.map((e) => e.field),
+    ["/mappings/1/from", "/mappings/2/from"]
+  );
+  assert.match(errors[0].message, /symlink/);
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MultipartError, parseMultipart } from "../shared/multipart.js";
+
+test("fields and files are read from a multipart body", () => {
+  const body = Buffer.from(
+    [
+      "--b0undary",
+      'Content-Disposition: form-data; name="repoName"',
+      "",
+      "site",
+      "--b0undary",
+      'Content-Disposition: form-data; name="file"; filename="site.zip"',
+      "Content-Type: application/zip",
+      "",
+      "PK\u0003\u0004",
+      "--b0undary--",
+      "",
+    ].join("\r\n")
+  );
+
+  const { fields, files } = parseMultipart(
+    body,
+    "multipart/form-data; boundary=b0undary"
+  );
+  assert.deepEqual(fields, { repoName: "site" });
+  assert.equal(files.file.filename, "site.zip");
+  assert.deepEqual(files.file.data, Buffer.from("PK\u0003\u0004"));
+});
+
+test("bodies without a boundary are bad requests", () => {
+  assert.throws(
+    () => parseMultipart(Buffer.from("x"), "multipart/form-data"),
+    MultipartError
+  );
+});
@@ -0,0 +1,10 @@
+// Module hooks registered by test/prisma.js
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "@prisma/client") {
+    return {
+      url: "data:text/javascript,export class PrismaClient {}",
+      shortCircuit: true,
+    };
+  }
+  return nextResolve(specifier, context);
+}
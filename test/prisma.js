@@ -0,0 +1,44 @@
+import { register } from "node:module";
+
+// shared/prisma.js uses the client in globalThis.prisma when there is one.
+// Tests put this object there and give it the models they need, as objects
+// of async methods, so they run without a generated client or a database.
+// Import the modules under test dynamically, after this one.
+register("./prisma-hooks.js", import.meta.url);
+
+const prisma = {};
+globalThis.prisma = prisma;
+
+export default prisma;
+
+// Whether a row matches a Prisma `where`, for the filters the fakes see:
+// equality, `in`, `gte` and `OR`
+export function matchesWhere(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === "OR") {
+      return condition.some((w) => matchesWhere(row, w));
+    }
+    if (
+      condition &&
+      typeof condition === "object" &&
+      !(condition instanceof Date)
+    ) {
+      return (
+        (condition.in === undefined || condition.in.includes(row[key])) &&
+        (condition.gte === undefined || row[key] >= condition.gte)
+      );
+    }
+    return row[key] === condition;
+  });
+}
+
+// A model over `rows` that can count and find them
+export function fakeModel(rows) {
+  return {
+    rows,
+    count: async ({ where } = {}) =>
+      rows.filter((row) => matchesWhere(row, where)).length,
+    findMany: async ({ where } = {}) =>
+      rows.filter((row) => matchesWhere(row, where)),
+  };
+}
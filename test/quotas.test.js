@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { createSource } from "./helpers.js";
+import prisma, { fakeModel } from "./prisma.js";
+
+const { AccessError } = await import("../shared/auth.js");
+const { enforceQuota } = await import("../shared/quotas.js");
+
+const user = { username: "octo", admin: false };
+const admin = { username: null, admin: true };
+const HOUR_MS = 60 * 60 * 1000;
+
+function job(status, { updatedAgo = 0, createdAgo = 2 * HOUR_MS } = {}) {
+  return {
+    username: "octo",
+    status,
+    created_at: new Date(Date.now() - createdAgo),
+    updated_at: new Date(Date.now() - updatedAgo),
+  };
+}
+
+function rejectsWith(promise, status, reason) {
+  return assert.rejects(
+    promise,
+    (error) =>
+      error instanceof AccessError &&
+      error.status === status &&
+      error.reason === reason
+  );
+}
+
+beforeEach(() => {
+  prisma.github = { findUnique: async () => null };
+  prisma.pushJob = fakeModel([]);
+});
+
+test("users may have three jobs queued or running", async () => {
+  prisma.pushJob = fakeModel([job("queued"), job("running")]);
+  await enforceQuota(user, "octo");
+
+  prisma.pushJob.rows.push(job("queued"));
+  await assert.rejects(enforceQuota(user, "octo"), (error) => {
+    assert.equal(error.status, 429);
+    assert.equal(error.reason, "too-many-jobs");
+    assert.equal(error.retryAfter, 30);
+    return true;
+  });
+
+  // Finished jobs and other users' jobs do not count
+  prisma.pushJob = fakeModel([
+    job("queued"),
+    job("succeeded"),
+    job("failed"),
+    { ...job("queued"), username: "other" },
+    { ...job("running"), username: "other" },
+  ]);
+  await enforceQuota(user, "octo");
+});
+
+test("hourly pushes are limited until the oldest is an hour old", async (t) => {
+  process.env.QUOTA_PUSHES_PER_HOUR = "2";
+  t.after(() => delete process.env.QUOTA_PUSHES_PER_HOUR);
+  const minute = 60 * 1000;
+  prisma.pushJob = fakeModel([
+    job("succeeded", { createdAgo: 2 * HOUR_MS }),
+    job("succeeded", { createdAgo: 50 * minute }),
+  ]);
+  await enforceQuota(user, "octo");
+
+  prisma.pushJob.rows.push(job("succeeded", { createdAgo: 20 * minute }));
+  await assert.rejects(enforceQuota(user, "octo"), (error) => {
+    assert.equal(error.status, 429);
+    assert.equal(error.reason, "rate-limited");
+    // The push 50 minutes ago leaves the window in 10
+    assert.ok(Math.abs(error.retryAfter - 10 * 60) <= 2, error.retryAfter);
+    return true;
+  });
+});
+
+test("limits on the user's record replace the defaults", async () => {
+  prisma.github = {
+    findUnique: async () => ({ quota_max_concurrent_jobs: 1 }),
+  };
+  prisma.pushJob = fakeModel([job("queued")]);
+  await rejectsWith(enforceQuota(user, "octo"), 429, "too-many-jobs");
+});
+
+test("sources over the size limit are forbidden", async () => {
+  prisma.github = { findUnique: async () => ({ quota_max_repo_mb: 1 }) };
+  const sourceDir = createSource({
+    "small.txt": "hello\n",
+    "large.bin": Buffer.alloc(1024 * 1024 + 1),
+  });
+
+  await rejectsWith(
+    enforceQuota(user, "octo", { sourceDir }),
+    403,
+    "repo-too-large"
+  );
+  // Ignored files are not measured
+  await enforceQuota(user, "octo", {
+    sourceDir,
+    ignoreOptions: { ignore: ["*.bin"] },
+  });
+});
+
+test("admins are not limited", async () => {
+  prisma.pushJob = fakeModel(
+    Array.from({ length: 50 }, () => job("queued", { createdAgo: 0 }))
+  );
+  await rejectsWith(enforceQuota(user, "octo"), 429, "too-many-jobs");
+  await enforceQuota(admin, "octo");
+});
+
+test("running jobs that stopped moving no longer hold a slot", async () => {
+  prisma.pushJob = fakeModel([
+    job("running"),
+    job("running", { updatedAgo: 2 * HOUR_MS }),
+    job("running", { updatedAgo: 3 * HOUR_MS }),
+  ]);
+  await enforceQuota(user, "octo");
+
+  prisma.pushJob.rows.push(job("running"), job("queued"));
+  await assert.rejects(
+    enforceQuota(user, "octo"),
+    (error) => error instanceof AccessError && error.reason === "too-many-jobs"
+  );
+});
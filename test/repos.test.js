@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import prisma from "./prisma.js";
+
+const { readId, recordRepoPush } = await import("../shared/repos.js");
+const { default: treeRepos } = await import("../TreeRepos/index.js");
+
+process.env.ADMIN_API_KEY = "admin-key";
+after(() => {
+  delete process.env.ADMIN_API_KEY;
+});
+
+const result = {
+  provider: "github",
+  visibility: "private",
+  defaultBranch: "main",
+  commitSha: "c".repeat(40),
+};
+
+function recordingRepos(existing) {
+  const upserts = [];
+  prisma.github = {
+    findUnique: async ({ where }) => ({
+      id: where.username === "hubot" ? 2 : 1,
+    }),
+  };
+  prisma.repos = {
+    findUnique: async () => existing,
+    upsert: async (args) => {
+      upserts.push(args);
+      return {};
+    },
+  };
+  return upserts;
+}
+
+test("ids are small non-negative integers", () => {
+  assert.equal(readId("42"), 42);
+  assert.equal(readId(7), 7);
+  for (const value of ["abc", "1.5", "-1", "", "1e3", "12345678901", null]) {
+    assert.equal(readId(value), null, String(value));
+  }
+});
+
+test("pushes by another user keep the registered owner", async () => {
+  const upserts = recordingRepos({ github_user_id: 1 });
+  await recordRepoPush({
+    username: "hubot",
+    owner: "octo",
+    name: "site",
+    result,
+  });
+
+  assert.equal(upserts[0].update.github_user_id, undefined);
+  assert.equal(upserts[0].create.github_user_id, 2);
+});
+
+test("entries without an owner are claimed by the pushing user", async () => {
+  const upserts = recordingRepos({ github_user_id: null });
+  await recordRepoPush({
+    username: "hubot",
+    owner: "octo",
+    name: "site",
+    result,
+  });
+
+  assert.equal(upserts[0].update.github_user_id, 2);
+});
+
+test("repository ids that are not numbers are bad requests", async () => {
+  prisma.repos = {
+    findUnique: async () => assert.fail("no lookup for a bad id"),
+  };
+  const context = { bindingData: { id: "abc" }, log: () => {} };
+
+  await treeRepos(context, {
+    method: "GET",
+    headers: { "x-admin-key": "admin-key" },
+    query: {},
+  });
+  assert.equal(context.res.status, 400);
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import "./prisma.js";
+import { tempDir } from "./helpers.js";
+
+const { handleUpload } = await import("../shared/upload.js");
+
+process.env.ADMIN_API_KEY = "admin-key";
+process.env.SOURCE_ROOT = tempDir("sources");
+after(() => {
+  delete process.env.ADMIN_API_KEY;
+  delete process.env.SOURCE_ROOT;
+});
+
+const context = { log: () => {} };
+
+function request(params) {
+  return {
+    headers: { "x-admin-key": "admin-key" },
+    query: {},
+    body: { owner: "octo", repoName: "site", userName: "octo", ...params },
+  };
+}
+
+test("unusable source directories are bad requests", async () => {
+  for (const sourceDir of ["../outside", "missing"]) {
+    const response = await handleUpload(context, request({ sourceDir }));
+    assert.equal(response.status, 400, sourceDir);
+    assert.match(response.body.error, /Source directory/);
+  }
+});
+
+test("owner, repoName and sourceDir are required", async () => {
+  const response = await handleUpload(context, {
+    headers: {},
+    query: { owner: "octo" },
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body, "repoName, sourceDir are required");
+});
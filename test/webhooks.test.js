@@ -0,0 +1,197 @@
+import assert from "node:assert/strict";
+import http from "http";
+import { after, test } from "node:test";
+import prisma from "./prisma.js";
+
+const {
+  checkCallbackUrl,
+  CallbackUrlError,
+  notifyJob,
+  retryDueDeliveries,
+  signPayload,
+} = await import("../shared/webhooks.js");
+
+after(() => {
+  delete process.env.WEBHOOK_SECRET;
+});
+
+test("callbacks to internal addresses are refused", async () => {
+  for (const url of [
+    "http://127.0.0.1:7071/api/admin",
+    "http://localhost/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://10.1.2.3/",
+    "http://192.168.0.10:8080/hook",
+    "http://[::1]/",
+    "http://[fd00::1]/",
+    "http://[::ffff:10.0.0.1]/",
+    "http://2130706433/",
+    "ftp://example.com/hook",
+  ]) {
+    await assert.rejects(checkCallbackUrl(url), CallbackUrlError, url);
+  }
+
+  await checkCallbackUrl("https://93.184.216.34/hook");
+});
+
+test("allowed hosts may be internal", async (t) => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = "hooks.internal, localhost";
+  t.after(() => delete process.env.WEBHOOK_ALLOWED_HOSTS);
+  await checkCallbackUrl("http://localhost:8080/hook");
+  await assert.rejects(
+    checkCallbackUrl("http://127.0.0.1:8080/hook"),
+    CallbackUrlError
+  );
+});
+
+test("refused deliveries fail without a request or retry", async () => {
+  process.env.WEBHOOK_SECRET = "secret";
+  const updates = [];
+  prisma.pushJob = {
+    findUnique: async () => ({
+      id: "job-1",
+      status: "succeeded",
+      callback_url: "http://169.254.169.254/latest/meta-data/",
+    }),
+  };
+  prisma.webhookDelivery = {
+    create: async ({ data }) => ({ id: "delivery-1", attempts: 0, ...data }),
+    update: async ({ data }) => {
+      updates.push(data);
+      return data;
+    },
+  };
+
+  const delivery = await notifyJob("job-1");
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.response_status, null);
+  assert.equal(delivery.next_attempt_at, null);
+  assert.match(delivery.error, /internal address/);
+  assert.equal(updates.length, 1);
+});
+
+// A local receiver answering each request with the next of `statuses`
+async function startReceiver(t, statuses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  process.env.WEBHOOK_SECRET = "secret";
+  process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+  t.after(() => delete process.env.WEBHOOK_ALLOWED_HOSTS);
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+// A job whose delivery rows are kept in `deliveries`
+function fakeDeliveries(url) {
+  const deliveries = [];
+  prisma.pushJob = {
+    findUnique: async ({ where }) => ({
+      id: where.id,
+      status: "succeeded",
+      callback_url: url,
+      commit_sha: "abc123",
+    }),
+  };
+  prisma.webhookDelivery = {
+    create: async ({ data }) => {
+      const delivery = {
+        id: `delivery-${deliveries.length + 1}`,
+        status: "pending",
+        attempts: 0,
+        ...data,
+      };
+      deliveries.push(delivery);
+      return { ...delivery };
+    },
+    update: async ({ where, data }) =>
+      Object.assign(deliveries.find((d) => d.id === where.id), data),
+    findMany: async ({ where }) =>
+      deliveries.filter(
+        (d) =>
+          d.status === where.status &&
+          d.next_attempt_at <= where.next_attempt_at.lte
+      ),
+  };
+  return deliveries;
+}
+
+test("deliveries are signed over their timestamp and body", async (t) => {
+  const { received, url } = await startReceiver(t, [204]);
+  fakeDeliveries(url);
+
+  const delivery = await notifyJob("job-1");
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.response_status, 204);
+
+  const [{ headers, body }] = received;
+  assert.equal(headers["x-tree-event"], "push.succeeded");
+  assert.equal(headers["x-tree-delivery"], "delivery-1");
+  assert.equal(
+    headers["x-tree-signature"],
+    signPayload(body, headers["x-tree-timestamp"], "secret")
+  );
+  assert.notEqual(
+    headers["x-tree-signature"],
+    signPayload(body, headers["x-tree-timestamp"], "other")
+  );
+  assert.equal(JSON.parse(body).commitSha, "abc123");
+});
+
+test("failed deliveries are retried with backoff", async (t) => {
+  const { received, url } = await startReceiver(t, [500, 503, 200]);
+  const deliveries = fakeDeliveries(url);
+
+  const before = Date.now();
+  const delivery = await notifyJob("job-1");
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.error, "Callback answered 500");
+  assert.ok(delivery.next_attempt_at.getTime() >= before + 60 * 1000);
+
+  // Not due yet
+  assert.deepEqual(await retryDueDeliveries(), []);
+
+  deliveries[0].next_attempt_at = new Date(Date.now() - 1000);
+  const [second] = await retryDueDeliveries();
+  assert.equal(second.attempts, 2);
+  assert.ok(second.next_attempt_at.getTime() >= Date.now() + 290 * 1000);
+
+  deliveries[0].next_attempt_at = new Date(Date.now() - 1000);
+  const [third] = await retryDueDeliveries();
+  assert.equal(third.status, "delivered");
+  assert.equal(third.attempts, 3);
+
+  // Every attempt is the same delivery
+  assert.equal(received.length, 3);
+  assert.deepEqual(
+    new Set(received.map((r) => r.headers["x-tree-delivery"])),
+    new Set(["delivery-1"])
+  );
+});
+
+test("deliveries fail for good after the last attempt", async (t) => {
+  process.env.WEBHOOK_MAX_ATTEMPTS = "2";
+  t.after(() => delete process.env.WEBHOOK_MAX_ATTEMPTS);
+  const { received, url } = await startReceiver(t, [500]);
+  const deliveries = fakeDeliveries(url);
+
+  await notifyJob("job-1");
+  deliveries[0].next_attempt_at = new Date(Date.now() - 1000);
+  const [delivery] = await retryDueDeliveries();
+
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.next_attempt_at, null);
+  assert.deepEqual(await retryDueDeliveries(), []);
+  assert.equal(received.length, 2);
+});
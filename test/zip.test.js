@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import AdmZip from "adm-zip";
+import { extractZip, InvalidArchiveError } from "../shared/zip.js";
+
+// Rewrites the uncompressed size every header of a single-entry archive
+// declares, as a zip bomb would
+function lieAboutSize(buffer, size) {
+  const patched = Buffer.from(buffer);
+  patched.writeUInt32LE(size, patched.indexOf("PK\x03\x04") + 22);
+  patched.writeUInt32LE(size, patched.indexOf("PK\x01\x02") + 24);
+  return patched;
+}
+
+test("archives are extracted with their executable bits", async () => {
+  const zip = new AdmZip();
+  zip.addFile("project/README.md", Buffer.from("hello\n"));
+  zip.addFile("project/bin/run.sh", Buffer.from("#!/bin/sh\n"), "", 0o755);
+
+  const dir = await extractZip(zip.toBuffer());
+  try {
+    assert.equal(
+      fs.readFileSync(path.join(dir, "README.md"), "utf-8"),
+      "hello\n"
+    );
+    assert.ok(fs.statSync(path.join(dir, "bin/run.sh")).mode & 0o100);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("entries that inflate past the limit are stopped early", async () => {
+  const zip = new AdmZip();
+  zip.addFile("bomb.bin", Buffer.alloc(8 * 1024 * 1024));
+  const archive = lieAboutSize(zip.toBuffer(), 10);
+
+  await assert.rejects(
+    extractZip(archive, { maxBytes: 1024 * 1024 }),
+    (error) =>
+      error instanceof InvalidArchiveError &&
+      /expands past the 1048576 byte limit/.test(error.message)
+  );
+});
+
+test("declared sizes over the limit are refused up front", async () => {
+  const zip = new AdmZip();
+  zip.addFile("big.bin", Buffer.alloc(2 * 1024 * 1024));
+
+  await assert.rejects(
+    extractZip(zip.toBuffer(), { maxBytes: 1024 * 1024 }),
+    /expands to 2097152 bytes \(limit 1048576\)/
+  );
+});
+
+test("corrupt entries are refused", async () => {
+  const zip = new AdmZip();
+  zip.addFile("data.txt", Buffer.from("x".repeat(1000)));
+  const archive = zip.toBuffer();
+  archive.writeUInt32LE(0, archive.indexOf("PK\x01\x02") + 16);
+
+  await assert.rejects(extractZip(archive), /CRC mismatch/);
+});